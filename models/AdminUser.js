@@ -0,0 +1,34 @@
+// models/AdminUser.js
+import mongoose from "mongoose";
+
+/**
+ * Cuenta de admin del panel.
+ * - passwordHash: scrypt (services/adminAuth.js)
+ * - totp_secret: base32 cifrado con piiCrypto; el login lo exige cuando
+ *   totp_activo es true
+ * - token_version: va en el JWT; subirla invalida los tokens ya emitidos
+ *   (cambio de rol, desactivación, contraseña o TOTP)
+ */
+const adminUserSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    passwordHash: { type: String, required: true },
+    role: {
+      type: String,
+      enum: ["operator", "supervisor", "auditor"],
+      required: true,
+    },
+    activo: { type: Boolean, default: true },
+    totp_secret: { type: String, default: null },
+    totp_activo: { type: Boolean, default: false },
+    totp_ultimo_paso: { type: Number, default: 0 }, // evita reusar el mismo código
+    intentos_fallidos: { type: Number, default: 0 },
+    bloqueado_hasta: { type: Date, default: null },
+    ultimo_login: { type: Date, default: null },
+    token_version: { type: Number, default: 0 },
+    creado_por: String,
+  },
+  { timestamps: true }
+);
+
+export const AdminUser = mongoose.model("AdminUser", adminUserSchema);
@@ -0,0 +1,54 @@
+// models/AuditLog.js
+import mongoose from "mongoose";
+
+/**
+ * Bitácora de acciones de admin. Solo se agrega: cada entrada guarda el hash
+ * de la anterior (prev_hash) y el suyo (hash), así que editar o borrar una
+ * rompe la cadena (GET /api/admin/auditoria/verificar).
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    seq: { type: Number, required: true, unique: true },
+    at: { type: String, required: true }, // ISO UTC
+    actor: { type: String, required: true }, // "admin:<username>" | "anon"
+    role: { type: String, default: null },
+    accion: { type: String, required: true, index: true }, // "PUT /api/orders/:id/estado"
+    status: Number, // código HTTP de la respuesta
+    ruta: String, // path real sin query
+    ip: String,
+    user_agent: String,
+    order_id: { type: Number, default: null, index: true },
+    antes: { type: mongoose.Schema.Types.Mixed, default: null },
+    despues: { type: mongoose.Schema.Types.Mixed, default: null },
+    detalle: { type: mongoose.Schema.Types.Mixed, default: null },
+    prev_hash: { type: String, required: true },
+    hash: { type: String, required: true },
+  },
+  // Sin minimize: un {} guardado debe seguir siendo {} al verificar el hash
+  { minimize: false }
+);
+
+auditLogSchema.index({ actor: 1, seq: -1 });
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) {
+    throw new Error("La bitácora de auditoría no se puede modificar");
+  }
+});
+
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditLogSchema.pre(op, function () {
+    throw new Error("La bitácora de auditoría no se puede modificar");
+  });
+}
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,26 @@
+// models/BlocklistEntry.js
+import mongoose from "mongoose";
+
+// Identidad, wallet o cuenta de pago bloqueada (valor ya normalizado)
+const blocklistEntrySchema = new mongoose.Schema(
+  {
+    tipo: {
+      type: String,
+      enum: ["nullifier", "wallet", "cuenta"],
+      required: true,
+    },
+    valor: { type: String, required: true },
+    motivo: { type: String, required: true },
+    expira_en: { type: Date, default: null }, // null = no expira
+    creado_por: String,
+    actualizado_por: String,
+  },
+  { timestamps: true }
+);
+
+blocklistEntrySchema.index({ tipo: 1, valor: 1 }, { unique: true });
+
+export const BlocklistEntry = mongoose.model(
+  "BlocklistEntry",
+  blocklistEntrySchema
+);
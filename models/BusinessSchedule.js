@@ -0,0 +1,34 @@
+// models/BusinessSchedule.js
+import mongoose from "mongoose";
+
+const scheduleDaySchema = new mongoose.Schema(
+  {
+    dia: { type: Number, min: 0, max: 6, required: true }, // 0=Dom,...,6=Sab
+    abre: { type: Boolean, default: true },
+    apertura: { type: String, default: "08:00" }, // HH:MM hora local
+    corte: { type: String, default: "17:00" }, // HH:MM: después va al siguiente día hábil
+  },
+  { _id: false }
+);
+
+/**
+ * Horario de atención versionado. Nunca se edita una versión: se crea otra
+ * con su vigente_desde, así las órdenes viejas conservan la regla con la que
+ * se crearon (Order.horario_version).
+ */
+const businessScheduleSchema = new mongoose.Schema(
+  {
+    version: { type: Number, unique: true, required: true, immutable: true },
+    vigente_desde: { type: Date, required: true, immutable: true },
+    utc_offset_min: { type: Number, default: -300, immutable: true },
+    dias: { type: [scheduleDaySchema], immutable: true },
+    nota: String,
+    creado_por: String,
+  },
+  { timestamps: true }
+);
+
+export const BusinessSchedule = mongoose.model(
+  "BusinessSchedule",
+  businessScheduleSchema
+);
@@ -0,0 +1,28 @@
+// models/IdempotencyKey.js
+import mongoose from "mongoose";
+
+// Respuesta guardada por Idempotency-Key (Mongo la borra al pasar expiresAt)
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // ej: "POST /api/orders"
+    owner: { type: String, required: true }, // wallet de la sesión
+    fingerprint: { type: String, required: true }, // sha256 del body
+    estado: {
+      type: String,
+      enum: ["procesando", "completada"],
+      default: "procesando",
+    },
+    responseStatus: Number,
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ key: 1, scope: 1, owner: 1 }, { unique: true });
+
+export const IdempotencyKey = mongoose.model(
+  "IdempotencyKey",
+  idempotencyKeySchema
+);
@@ -0,0 +1,33 @@
+// models/InventoryClose.js
+import mongoose from "mongoose";
+
+/**
+ * Cierre de un día de inventario. Cada cierre es una versión nueva:
+ * el snapshot no se modifica nunca; reabrir solo marca reabierto_*.
+ */
+const inventoryCloseSchema = new mongoose.Schema(
+  {
+    fecha: { type: String, required: true, immutable: true }, // YYYY-MM-DD
+    version: { type: Number, required: true, immutable: true },
+    snapshot: { type: mongoose.Schema.Types.Mixed, immutable: true },
+    cerrado_por: { type: String, immutable: true },
+    cerrado_en: { type: Date, default: Date.now, immutable: true },
+    reabierto_en: { type: Date, default: null },
+    reabierto_por: String,
+    reabierto_motivo: String,
+  },
+  { timestamps: true }
+);
+
+inventoryCloseSchema.index({ fecha: 1, version: 1 }, { unique: true });
+
+for (const op of ["deleteOne", "deleteMany", "findOneAndDelete"]) {
+  inventoryCloseSchema.pre(op, function () {
+    throw new Error("Los cierres de inventario no se pueden borrar");
+  });
+}
+
+export const InventoryClose = mongoose.model(
+  "InventoryClose",
+  inventoryCloseSchema
+);
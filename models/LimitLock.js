@@ -0,0 +1,15 @@
+// models/LimitLock.js
+import mongoose from "mongoose";
+
+/**
+ * Candado por identidad mientras se crea una orden (services/limits.js):
+ * revisar los topes y crear la orden va en serie por nullifier.
+ * Si el proceso muere con el candado tomado, vence en expiresAt.
+ */
+const limitLockSchema = new mongoose.Schema({
+  nullifier: { type: String, required: true, unique: true },
+  token: { type: String, required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+export const LimitLock = mongoose.model("LimitLock", limitLockSchema);
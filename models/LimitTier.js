@@ -0,0 +1,28 @@
+// models/LimitTier.js
+import mongoose from "mongoose";
+
+// null = sin límite en ese campo
+const periodoSchema = new mongoose.Schema(
+  {
+    wld: { type: Number, default: null },
+    cop: { type: Number, default: null },
+    ordenes: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// Nivel de límites asignable por el admin a cada usuario (User.tier)
+const limitTierSchema = new mongoose.Schema(
+  {
+    nombre: { type: String, unique: true, required: true },
+    descripcion: String,
+    max_por_orden_wld: { type: Number, default: null },
+    diario: { type: periodoSchema, default: () => ({}) },
+    semanal: { type: periodoSchema, default: () => ({}) },
+    mensual: { type: periodoSchema, default: () => ({}) },
+    actualizado_por: String,
+  },
+  { timestamps: true }
+);
+
+export const LimitTier = mongoose.model("LimitTier", limitTierSchema);
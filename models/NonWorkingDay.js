@@ -0,0 +1,17 @@
+// models/NonWorkingDay.js
+import mongoose from "mongoose";
+
+// Cierre extraordinario de la oficina (además de domingos y festivos)
+const nonWorkingDaySchema = new mongoose.Schema(
+  {
+    fecha: { type: String, unique: true, required: true }, // YYYY-MM-DD
+    motivo: { type: String, required: true },
+    creado_por: String,
+  },
+  { timestamps: true }
+);
+
+export const NonWorkingDay = mongoose.model(
+  "NonWorkingDay",
+  nonWorkingDaySchema
+);
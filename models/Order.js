@@ -0,0 +1,123 @@
+// models/Order.js
+import mongoose from "mongoose";
+import {
+  activeKeyVersion,
+  blindIndex,
+  encryptPii,
+  isEncrypted,
+  keyVersionOf,
+} from "../services/piiCrypto.js";
+
+const orderSchema = new mongoose.Schema({
+  id: { type: Number, unique: true }, // id numérico que usa el frontend
+  banco: String,
+  titular: String, // cifrado (services/piiCrypto.js)
+  numero: String, // cifrado (services/piiCrypto.js)
+  numero_hash: { type: String, default: null, index: true }, // índice ciego del numero
+  pii_key_version: { type: String, default: null },
+  tipo_llave: { type: String, default: null }, // solo Llave Bre-B: cedula | celular | email | alfanumerica | comercio
+  montoWLD: Number,
+  montoCOP: Number,
+  verified: Boolean,
+  verification_level: { type: String, default: null }, // World ID: orb | device | ...
+  nullifier: String,
+  wallet: { type: String, default: null, index: true }, // wallet de la sesión (minúsculas)
+  estado: { type: String, default: "pendiente" },
+  creada_en: String,
+  actualizada_en: { type: String, index: true }, // lo usa el barrido de webhooks
+  status_history: [
+    {
+      at: String,
+      from: String,
+      to: String,
+      actor: String, // "admin" | "user" | "system:<job>"
+      reason: String,
+    },
+  ],
+  wld_tx_id: String, // hash en minúsculas; una tx solo sirve para una orden
+  // 🔹 Tx reportadas que no sirvieron (fallida, sin transferencia, duplicada...)
+  wld_tx_descartadas: [
+    { _id: false, tx: String, motivo: String, detalle: String, at: String },
+  ],
+  // 🔹 Fecha “contable” para inventario diario (YYYY-MM-DD)
+  inventario_fecha: String,
+  // 🔹 Versión del horario (BusinessSchedule) con la que se calculó
+  horario_version: Number,
+  // 🔹 Ganancia de la casa en COP para esta orden
+  ganancia_cop: Number,
+  // 🔹 Lo que realmente llegó en la tx (checkPendingWldReceipts)
+  recibo_clasificacion: String, // exacto | pago_menor | pago_mayor | ...
+  recibo_revisado_en: String,
+  wld_recibido: Number,
+  wld_recibido_wei: String,
+  wld_remitente: String,
+  // 🔹 Recotización hecha por el admin cuando el monto no coincidió
+  recotizacion: {
+    at: String,
+    actor: String,
+    montoWLD_original: Number,
+    montoCOP_original: Number,
+    wld_cop_usuario: Number,
+  },
+  reembolso_solicitado_en: String,
+  // 🔹 Devolución de WLD al remitente original
+  reembolso: {
+    to: String,
+    monto_wei: String,
+    monto_wld: Number,
+    desde: String, // wallet que firmó el reembolso
+    tx_hash: String,
+    enviado_en: String,
+    confirmado_en: String,
+    error: String,
+  },
+  // 🔹 Lote de pago COP en el que quedó bloqueada (no se paga dos veces)
+  payout_batch_id: { type: String, default: null, index: true },
+  // 🔹 Soporte del pago COP (conciliación con el extracto)
+  pago_referencia: String,
+  pago_conciliado_en: String,
+  // 🔹 Evaluaciones del motor de riesgo (creación y recibo)
+  riesgo: [
+    {
+      _id: false,
+      fase: String,
+      score: Number,
+      reglas: [{ _id: false, regla: String, puntos: Number, detalle: String }],
+      at: String,
+    },
+  ],
+  // 🔹 A dónde sigue la orden si el admin aprueba la revisión
+  revision_estado_destino: String,
+  // 🔹 Cotización con la que se creó (auditoría de la tasa bloqueada)
+  quote: {
+    quoteId: String,
+    wld_cop_bruto: Number,
+    wld_cop_usuario: Number,
+    spread_percent: Number,
+    fuente: String,
+    fecha_tasa: String,
+    expira_en: Date,
+  },
+});
+
+orderSchema.index(
+  { wld_tx_id: 1 },
+  { unique: true, partialFilterExpression: { wld_tx_id: { $type: "string" } } }
+);
+
+// 🔐 titular/numero nunca se guardan en claro (Order.create / save)
+orderSchema.pre("save", function () {
+  if (this.isModified("numero") && !isEncrypted(this.numero)) {
+    this.numero_hash = blindIndex(this.numero);
+    this.numero = encryptPii(this.numero);
+  }
+  if (this.isModified("titular") && !isEncrypted(this.titular)) {
+    this.titular = encryptPii(this.titular);
+  }
+  // Sin numero ni titular no hay nada cifrado: la versión activa igual se
+  // guarda para que la rotación no la vuelva a tomar
+  this.pii_key_version =
+    keyVersionOf(this.numero) || keyVersionOf(this.titular) || activeKeyVersion();
+});
+
+export const Order = mongoose.model("Order", orderSchema);
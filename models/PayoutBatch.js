@@ -0,0 +1,36 @@
+// models/PayoutBatch.js
+import mongoose from "mongoose";
+
+const totalesSchema = new mongoose.Schema(
+  {
+    count: Number,
+    montoCOP: Number,
+    montoWLD: Number,
+  },
+  { _id: false }
+);
+
+// Lote de pagos COP de un día de inventario (órdenes 'recibida_wld')
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    batchId: { type: String, unique: true, required: true },
+    inventario_fecha: { type: String, required: true },
+    estado: { type: String, enum: ["abierto", "anulado"], default: "abierto" },
+    order_ids: [Number],
+    totales: totalesSchema,
+    por_banco: [
+      {
+        _id: false,
+        banco: String,
+        count: Number,
+        montoCOP: Number,
+        montoWLD: Number,
+      },
+    ],
+    creado_por: String,
+    anulado_por: String,
+  },
+  { timestamps: true }
+);
+
+export const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema);
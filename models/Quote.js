@@ -0,0 +1,25 @@
+// models/Quote.js
+import mongoose from "mongoose";
+
+// Cotización firmada con la tasa bloqueada para un montoWLD
+const quoteSchema = new mongoose.Schema(
+  {
+    quoteId: { type: String, unique: true, required: true },
+    montoWLD: { type: Number, required: true },
+    montoCOP: { type: Number, required: true },
+    ganancia_cop: Number,
+    wld_cop_bruto: Number,
+    wld_cop_usuario: Number,
+    spread_percent: Number,
+    verification_level: { type: String, default: null }, // nivel con el que se cotizó el spread
+    nullifier: { type: String, default: null }, // identidad a la que se cotizó
+    fuente: String,
+    fecha_tasa: String, // fecha de la tasa usada (rateService)
+    expira_en: { type: Date, required: true },
+    usada_en: { type: Date, default: null },
+    order_id: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+export const Quote = mongoose.model("Quote", quoteSchema);
@@ -0,0 +1,14 @@
+// models/Setting.js
+import mongoose from "mongoose";
+
+// Ajustes editables por el admin (clave → valor)
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, unique: true, required: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+export const Setting = mongoose.model("Setting", settingSchema);
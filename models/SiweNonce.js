@@ -0,0 +1,13 @@
+// models/SiweNonce.js
+import mongoose from "mongoose";
+
+// Nonce SIWE emitido y aún sin usar (se borra al consumirlo o al vencer)
+const siweNonceSchema = new mongoose.Schema(
+  {
+    nonceHash: { type: String, required: true, unique: true }, // HMAC del nonce
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+export const SiweNonce = mongoose.model("SiweNonce", siweNonceSchema);
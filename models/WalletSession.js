@@ -0,0 +1,29 @@
+// models/WalletSession.js
+import mongoose from "mongoose";
+
+/**
+ * Sesión de wallet (login SIWE). El refresh token rota en cada uso: se
+ * guarda el hash del vigente y los de los últimos ya rotados (para detectar
+ * reuso). Mongo la borra al pasar expiresAt.
+ */
+const walletSessionSchema = new mongoose.Schema(
+  {
+    sessionId: { type: String, required: true, unique: true },
+    walletAddress: { type: String, required: true, index: true }, // minúsculas
+    refreshHash: { type: String, required: true }, // sha256 del refresh vigente
+    refreshHashesPrevios: { type: [String], default: [] }, // ya rotados (los últimos)
+    rotaciones: { type: Number, default: 0 },
+    ultimo_uso: { type: Date, default: Date.now },
+    ip: String,
+    user_agent: String,
+    revocada_en: { type: Date, default: null },
+    revocada_por: String, // "user" | "admin:<sub>" | "system:reuso_refresh"
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+export const WalletSession = mongoose.model(
+  "WalletSession",
+  walletSessionSchema
+);
@@ -0,0 +1,43 @@
+// models/WebhookDelivery.js
+import mongoose from "mongoose";
+
+/**
+ * Outbox de webhooks: una entrega por (evento, suscripción).
+ * pendiente → entregado, o → fallido (dead-letter) al agotar los reintentos.
+ * event_key = "<orden>:<at>:<estado>" de la entrada de status_history: el
+ * índice único (subId, event_key) hace que encolar dos veces no duplique.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    deliveryId: { type: String, unique: true, required: true },
+    subId: { type: String, required: true, index: true },
+    evento: { type: String, required: true },
+    order_id: { type: Number, default: null, index: true },
+    event_key: { type: String, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    estado: {
+      type: String,
+      enum: ["pendiente", "entregado", "fallido"],
+      default: "pendiente",
+    },
+    intentos: { type: Number, default: 0 },
+    proximo_intento: { type: Date, default: Date.now },
+    ultimo_status: { type: Number, default: null }, // HTTP del último intento
+    ultimo_error: { type: String, default: null },
+    entregado_en: { type: Date, default: null },
+    fallido_en: { type: Date, default: null },
+    reenvios: { type: Number, default: 0 }, // reenvíos manuales desde dead-letter
+  },
+  { timestamps: true, minimize: false }
+);
+
+webhookDeliverySchema.index({ estado: 1, proximo_intento: 1 });
+webhookDeliverySchema.index(
+  { subId: 1, event_key: 1 },
+  { unique: true, partialFilterExpression: { event_key: { $type: "string" } } }
+);
+
+export const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
@@ -0,0 +1,22 @@
+// models/WebhookSubscription.js
+import mongoose from "mongoose";
+
+// Suscripción de un sistema externo a eventos de órdenes (ver services/webhooks.js)
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    subId: { type: String, unique: true, required: true },
+    url: { type: String, required: true },
+    eventos: { type: [String], required: true }, // order.created, order.paid, ...
+    secret: { type: String, required: true }, // cifrado (piiCrypto), firma HMAC
+    descripcion: { type: String, default: null },
+    activo: { type: Boolean, default: true, index: true },
+    creado_por: String,
+    actualizado_por: String,
+  },
+  { timestamps: true }
+);
+
+export const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
@@ -0,0 +1,25 @@
+// models/WorldIdVerification.js
+import mongoose from "mongoose";
+
+/**
+ * Prueba de World ID verificada por el backend (verifyCloudProof).
+ * El cliente recibe solo el token; el nullifier de las órdenes sale de aquí.
+ * Mongo la borra al pasar expiresAt.
+ */
+const worldIdVerificationSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true }, // sha256 del token
+    nullifier_hash: { type: String, required: true, index: true },
+    verification_level: { type: String, required: true }, // orb | device | ...
+    action: { type: String, required: true },
+    signal: { type: String, default: null },
+    wallet: { type: String, default: null }, // se fija con la primera wallet que la usa
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+export const WorldIdVerification = mongoose.model(
+  "WorldIdVerification",
+  worldIdVerificationSchema
+);
@@ -12,12 +12,174 @@ import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { ethers } from "ethers"; // ← NECESARIO para verificar firmas
 import { getCachedRate, startRateRefresher } from "./services/rateService.js";
+import {
+  ESTADOS,
+  OrderTransitionError,
+  allowedTransitions,
+  applyTransition,
+  buildHistoryEntry,
+  buildTransitionUpdate,
+  isValidEstado,
+} from "./services/orderStateMachine.js";
+import {
+  QuoteError,
+  assertQuoteSecretConfigured,
+  attachQuoteToOrder,
+  createQuote,
+  redeemQuote,
+  releaseQuote,
+} from "./services/quoteService.js";
+import { getSetting, setSetting } from "./services/settings.js";
+import { idempotency } from "./services/idempotency.js";
+import {
+  classifyWldReceipt,
+  normalizeTxHash,
+} from "./services/receiptClassifier.js";
+import { RefundSendError, sendWldRefund } from "./services/refundService.js";
+import {
+  buildPayoutCsv,
+  hasPayoutFormat,
+  summarizePayout,
+} from "./services/payoutExport.js";
+import {
+  InventoryClosedError,
+  InventoryDayOpenError,
+  assertInventoryDayOpen,
+  closeInventoryDay,
+  getClosedInventoryDays,
+  listInventoryCloses,
+  reopenInventoryDay,
+} from "./services/inventoryClose.js";
+import { Order } from "./models/Order.js";
+import { NonWorkingDay } from "./models/NonWorkingDay.js";
+import {
+  getColombianHolidays,
+  setExtraClosures,
+} from "./services/holidays.js";
+import {
+  calcularInventarioFecha,
+  getBusinessStatus,
+  getLocalNow as getColombiaNow,
+  getScheduleAt,
+  setSchedules,
+  validateScheduleDays,
+} from "./services/businessHours.js";
+import { BusinessSchedule } from "./models/BusinessSchedule.js";
+import { LimitTier } from "./models/LimitTier.js";
+import { evaluateOrderRisk } from "./services/riskEngine.js";
+import {
+  BlockedError,
+  TIPOS_BLOQUEO,
+  assertNotBlocked,
+  isBlocked,
+  normalizeBlockValue,
+} from "./services/blocklist.js";
+import { BlocklistEntry } from "./models/BlocklistEntry.js";
+import {
+  LimitLockError,
+  acquireLimitLock,
+  computeUsage,
+  defaultTierName,
+  evaluateLimits,
+  releaseLimitLock,
+  remainingAllowance,
+  resolveTier,
+} from "./services/limits.js";
+import {
+  AGRUPACIONES,
+  analyticsToCsv,
+  getOrderAnalytics,
+} from "./services/analytics.js";
+import { PayoutBatch } from "./models/PayoutBatch.js";
+import { parseCsv } from "./services/csv.js";
+import {
+  matchStatement,
+  normalizeStatementRows,
+} from "./services/reconciliation.js";
+import {
+  listPayoutMethods,
+  validatePayoutDestination,
+} from "./services/payoutValidation.js";
+import {
+  issueStreamTicket,
+  publishOrderEvent,
+  redeemStreamTicket,
+  streamOrderEvents,
+} from "./services/orderEvents.js";
+import {
+  WEBHOOK_EVENTOS,
+  createSubscription,
+  deliverPendingWebhooks,
+  enqueueOrderWebhooks,
+  publicSubscription,
+  redeliverWebhook,
+  rotateSubscriptionSecret,
+  sweepOrderWebhooks,
+  validateWebhookInput,
+} from "./services/webhooks.js";
+import { WebhookSubscription } from "./models/WebhookSubscription.js";
+import { WebhookDelivery } from "./models/WebhookDelivery.js";
+import { IdempotencyKey } from "./models/IdempotencyKey.js";
+import {
+  LEVEL_POLICY_SETTING,
+  NIVELES_VERIFICACION,
+  effectiveLevel,
+  getLevelPolicies,
+  isVerificationExpired,
+  policyForLevel,
+  validateLevelPolicies,
+  verificationUpdate,
+} from "./services/verificationLevels.js";
+import {
+  ADMIN_ROLES,
+  AdminAuthError,
+  authenticateAdmin,
+  bootstrapAdminFromEnv,
+  confirmTotpEnrollment,
+  hashPassword,
+  roleCan,
+  startTotpEnrollment,
+  validatePassword,
+} from "./services/adminAuth.js";
+import { AdminUser } from "./models/AdminUser.js";
+import {
+  WorldIdError,
+  assertExpectedAction,
+  createVerification,
+  resolveVerification,
+} from "./services/worldIdVerification.js";
+import {
+  diffFields,
+  queryAudit,
+  recordAudit,
+  verifyAuditChain,
+} from "./services/auditLog.js";
+import {
+  WalletSessionError,
+  consumeSiweNonce,
+  createWalletSession,
+  assertWalletSecretConfigured,
+  issueSiweNonce,
+  revokeWalletSession,
+  revokeWalletSessions,
+  rotateRefreshToken,
+  verifyWalletAccessToken,
+} from "./services/walletSessions.js";
+import {
+  activeKeyVersion,
+  assertPiiKeysConfigured,
+  blindIndex,
+  decryptOrderPii,
+  decryptPii,
+  encryptPii,
+  maskOrderPii,
+} from "./services/piiCrypto.js";
 
 // desde minikit-js
 import { verifyCloudProof, verifySiweMessage } from "@worldcoin/minikit-js";
 
 // si usas worldchain.js:
-import { getWldBalance } from "./worldchain.js";
+import { getWldBalance, getWldTransferInfo } from "./worldchain.js";
 
 // ABI del token WLD (ERC20)
 import { WLD_ABI } from "./wldAbi.js";
@@ -29,11 +191,13 @@ dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const PORT = process.env.PORT || 4000;
 const SPREAD = Number(process.env.SPREAD ?? "0.25");
-const OPERATOR_PIN = process.env.OPERATOR_PIN || "4321";
 const WALLET_DESTINO = process.env.WALLET_DESTINO || "";
-const MAX_ORDERS_PER_NULLIFIER_PER_DAY = Number(
-  process.env.MAX_ORDERS_PER_NULLIFIER_PER_DAY || "3"
+// Minutos que puede estar una orden 'pendiente' sin wld_tx_id antes de expirar
+// (el admin puede cambiarlo; este es el valor por defecto)
+const PENDING_ORDER_TTL_MIN = Number(
+  process.env.PENDING_ORDER_TTL_MIN || "120"
 );
+const PENDING_ORDER_TTL_SETTING = "pending_order_ttl_min";
 
 // 🔹 APP_ID de tu app de Worldcoin Developer Portal
 const APP_ID = process.env.APP_ID;
@@ -74,6 +238,7 @@ const wldInterface =
     : null;
 
 console.log("APP_ID:", APP_ID || "NO DEFINIDO");
+console.log("WORLD_ID_ACTION:", process.env.WORLD_ID_ACTION || "NO DEFINIDO");
 console.log("SPREAD:", SPREAD);
 console.log("Destino WLD:", WALLET_DESTINO);
 console.log("MONGO_URI configurado:", !!MONGO_URI);
@@ -82,17 +247,25 @@ console.log(
   ADMIN_JWT_SECRET === "DEV_SECRET_CAMBIA_ESTO_EN_PRODUCCION" ? "DEFAULT" : "OK"
 );
 
+// Secretos sin valor por defecto: si falta alguno, mejor no arrancar
+try {
+  assertWalletSecretConfigured();
+  console.log("WALLET_JWT_SECRET configurado: OK");
+  assertQuoteSecretConfigured();
+  console.log("QUOTE_SECRET configurado: OK");
+  // Sin llave PII no se pueden guardar ni leer datos de pago
+  console.log("PII_ENCRYPTION_KEYS activa:", assertPiiKeysConfigured());
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
 const app = express();
+// Detrás del proxy de Render: req.ip es la IP real del cliente
+app.set("trust proxy", 1);
 app.use(helmet());
 app.use(express.json({ limit: "1mb" }));
 
-function hashNonce(nonce) {
-  return crypto
-    .createHmac("sha256", ADMIN_JWT_SECRET)
-    .update(String(nonce))
-    .digest("hex");
-}
-
 // ==============================
 // CORS (abierto para pruebas + header de admin)
 // ==============================
@@ -108,11 +281,12 @@ app.use((req, res, next) => {
     res.header("Access-Control-Allow-Origin", origin || "*");
   }
 
-  res.header("Access-Control-Allow-Methods", "GET,POST,PUT,OPTIONS");
+  res.header("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
   res.header(
     "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, x-admin-pin"
+    "Content-Type, Authorization, Idempotency-Key"
   );
+  res.header("Access-Control-Expose-Headers", "Idempotent-Replayed");
   res.header("Access-Control-Max-Age", "600"); // cache del preflight
 
   if (req.method === "OPTIONS") {
@@ -122,6 +296,44 @@ app.use((req, res, next) => {
   next();
 });
 
+app.use(loadAdminAccount);
+
+// ==============================
+// 🧾 Auditoría de rutas de admin
+// ==============================
+// Una entrada por request de admin, incluidos logins fallidos y 403.
+// Las rutas agregan orden / antes / después / detalle en res.locals.audit.
+const AUDIT_PATH_RE =
+  /^\/(api\/admin|api\/orders-admin|rs-admin|api\/orders-por-dia|api\/orders\/\d+\/estado)(\/|$)/;
+
+app.use((req, res, next) => {
+  if (!AUDIT_PATH_RE.test(req.path)) return next();
+
+  res.on("finish", () => {
+    const admin = getAdminPayload(req, "totp");
+    const extra = res.locals.audit || {};
+    const routePath = req.route?.path;
+
+    recordAudit({
+      actor: extra.actor || (admin ? adminActor(admin) : "anon"),
+      role: extra.role || admin?.role || null,
+      accion: `${req.method} ${typeof routePath === "string" ? routePath : req.path}`,
+      status: res.statusCode,
+      ruta: req.path,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+      orderId: extra.orderId,
+      antes: extra.antes,
+      despues: extra.despues,
+      detalle: extra.detalle,
+    }).catch((err) =>
+      console.error("❌ Error escribiendo auditoría:", err.message)
+    );
+  });
+
+  next();
+});
+
 // ==============================
 // MongoDB: conexión y modelos
 // ==============================
@@ -134,7 +346,11 @@ if (!MONGO_URI) {
 
 mongoose
   .connect(MONGO_URI, { dbName: MONGO_DB_NAME })
-  .then(() => console.log("✅ Conectado a MongoDB"))
+  .then(() => {
+    console.log("✅ Conectado a MongoDB");
+    // El índice viejo (key, scope) sin dueño chocaría entre wallets distintas
+    IdempotencyKey.collection.dropIndex("key_1_scope_1").catch(() => {});
+  })
   .catch((err) =>
     console.error("❌ Error conectando a MongoDB:", err.message)
   );
@@ -144,35 +360,13 @@ const counterSchema = new mongoose.Schema({
   value: { type: Number, default: 0 },
 });
 
-const orderSchema = new mongoose.Schema({
-  id: { type: Number, unique: true }, // id numérico que usa el frontend
-  banco: String,
-  titular: String,
-  numero: String,
-  montoWLD: Number,
-  montoCOP: Number,
-  verified: Boolean,
-  nullifier: String,
-  estado: { type: String, default: "pendiente" },
-  creada_en: String,
-  actualizada_en: String,
-  status_history: [
-    {
-      at: String,
-      to: String,
-    },
-  ],
-  wld_tx_id: String,
-  // 🔹 Fecha “contable” para inventario diario (YYYY-MM-DD)
-  inventario_fecha: String,
-  // 🔹 Ganancia de la casa en COP para esta orden
-  ganancia_cop: Number,
-});
-
 // 👤 Usuario con World ID + wallet linkeada
 const userSchema = new mongoose.Schema({
   nullifier: { type: String, unique: true },
   walletAddress: { type: String },
+  tier: { type: String, default: null }, // LimitTier.nombre (null = el del nivel de verificación)
+  verificationLevel: { type: String, default: null }, // nivel más alto vigente (orb, document, device...)
+  lastVerifiedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
@@ -183,7 +377,6 @@ userSchema.pre("save", function (next) {
 });
 
 const Counter = mongoose.model("Counter", counterSchema);
-const Order = mongoose.model("Order", orderSchema);
 const User = mongoose.model("User", userSchema);
 
 async function getNextOrderId() {
@@ -198,102 +391,324 @@ async function getNextOrderId() {
 // ==============================
 // Helpers JWT admin
 // ==============================
-function createAdminToken() {
-  // payload mínimo: solo rol
-  return jwt.sign({ role: "admin" }, ADMIN_JWT_SECRET, { expiresIn: "24h" });
+// Solo Bearer del header (los streams SSE usan tickets, ver orderEvents.js)
+function requestToken(req) {
+  const authHeader = req.headers.authorization || "";
+  return authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+}
+
+function createAdminToken(user) {
+  // sub = username (es lo que queda en status_history); mfa = TOTP activo;
+  // ver = token_version de la cuenta (se revisa en cada request)
+  const ttlMin = Number(process.env.ADMIN_TOKEN_TTL_MIN) || 60;
+  return jwt.sign(
+    {
+      typ: "admin",
+      sub: user.username,
+      username: user.username,
+      role: user.role,
+      mfa: Boolean(user.totp_activo),
+      ver: user.token_version || 0,
+    },
+    ADMIN_JWT_SECRET,
+    { expiresIn: `${ttlMin}m` }
+  );
+}
+
+// Middleware: con un token de admin carga su AdminUser en req.adminAccount
+// (null si no existe). getAdminPayload es síncrono y compara contra esto.
+async function loadAdminAccount(req, res, next) {
+  try {
+    const token = requestToken(req);
+    const decoded = token ? jwt.decode(token) : null;
+    if (decoded?.typ !== "admin" || !decoded.sub) return next();
+
+    req.adminAccount = await AdminUser.findOne(
+      { username: decoded.sub },
+      { username: 1, role: 1, activo: 1, totp_activo: 1, token_version: 1 }
+    ).lean();
+    next();
+  } catch (err) {
+    console.error("❌ Error en loadAdminAccount:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
 }
 
 // ==============================
-// 🛡 Helper: validación de admin (solo JWT)
+// 🛡 Helper: validación de admin (JWT + permiso del rol)
 // ==============================
-function isAdminAuthenticated(req) {
-  const authHeader = req.headers.authorization || "";
-  if (!authHeader.startsWith("Bearer ")) {
-    return false;
+// permiso: "leer" | "operar" | "supervisar" | "auditar" (ver services/adminAuth.js)
+// o "totp" para las rutas de enrolamiento, que aceptan tokens sin TOTP activo
+function getAdminPayload(req, permiso) {
+  const token = requestToken(req);
+  if (!token) {
+    return null;
   }
 
-  const token = authHeader.slice(7);
-
   try {
     const payload = jwt.verify(token, ADMIN_JWT_SECRET);
-    // Solo aceptamos si el rol es "admin"
-    return Boolean(payload && payload.role === "admin");
+    if (payload?.typ !== "admin") return null;
+
+    // La cuenta manda: desactivada, con otro rol o con token_version nueva
+    // (contraseña / TOTP cambiados) invalida el token de inmediato
+    const cuenta = req.adminAccount;
+    if (
+      !cuenta ||
+      cuenta.username !== payload.sub ||
+      !cuenta.activo ||
+      cuenta.role !== payload.role ||
+      (cuenta.token_version || 0) !== (payload.ver ?? -1)
+    ) {
+      return null;
+    }
+    if (permiso === "totp") return payload;
+
+    // Sin TOTP activo el token solo sirve para enrolarlo
+    return payload.mfa && cuenta.totp_activo && roleCan(payload.role, permiso)
+      ? payload
+      : null;
   } catch (err) {
     console.warn("JWT admin inválido:", err.message);
-    return false;
+    return null;
   }
 }
 
+// Solo lectura (cualquier rol, incluido auditor)
+function isAdminAuthenticated(req) {
+  return Boolean(getAdminPayload(req, "leer"));
+}
+
+// Identificador del admin para status_history
+function adminActor(payload) {
+  return payload?.sub ? `admin:${payload.sub}` : "admin";
+}
+
 // ==============================
-// 🕒 Horario Colombia + regla de inventario
+// 👛 Helper: sesión de wallet (walletToken de /api/wallet-auth/complete)
 // ==============================
+async function getWalletPayload(req) {
+  const token = requestToken(req);
+  if (!token) {
+    return null;
+  }
 
-// 🇨🇴 Colombia está en UTC-5 sin cambios de horario
-const COLOMBIA_UTC_OFFSET_MIN = -5 * 60;
+  const payload = await verifyWalletAccessToken(token);
+  return payload && ethers.isAddress(payload.walletAddress) ? payload : null;
+}
 
-function getColombiaNow() {
-  const now = new Date();
-  const utcMs = now.getTime() + now.getTimezoneOffset() * 60000;
-  return new Date(utcMs + COLOMBIA_UTC_OFFSET_MIN * 60000);
+// La misma address puede estar guardada en minúsculas o con checksum
+function walletVariants(address) {
+  const lower = String(address).toLowerCase();
+  return [lower, ethers.getAddress(lower)];
 }
 
-// Calcula la fecha de inventario (YYYY-MM-DD) según horario laboral
-// Lun–Jue: después de 5 pm → día siguiente
-// Viernes: después de 5 pm → sábado
-// Sábado: después de 3 pm → lunes
-// Domingo: siempre lunes
-function calcularInventarioFecha(nowColombia) {
-  const d = new Date(nowColombia); // copia
-  const day = d.getDay(); // 0=Dom,1=Lun,...,6=Sab
-  const hour = d.getHours();
-  const minute = d.getMinutes();
+// Middleware: exige walletToken y deja en req.wallet { address, sid, exp, user }
+// (user = User vinculado a esa wallet con /api/wallet/link, o null)
+function walletAuth() {
+  return async function (req, res, next) {
+    try {
+      const payload = await getWalletPayload(req);
+      if (!payload) {
+        return res.status(401).json({
+          ok: false,
+          error: "Inicia sesión con tu wallet",
+          code: "WALLET_AUTH_REQUIRED",
+        });
+      }
+
+      const variants = walletVariants(payload.walletAddress);
+      const user = await User.findOne({ walletAddress: { $in: variants } }).lean();
+
+      req.wallet = {
+        address: variants[0],
+        sid: payload.sid,
+        exp: payload.exp,
+        variants,
+        user,
+      };
+      next();
+    } catch (err) {
+      console.error("❌ Error en requireWalletAuth:", err);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  };
+}
 
-  const toISODate = (date) => date.toISOString().slice(0, 10); // YYYY-MM-DD
+const requireWalletAuth = walletAuth();
 
-  // Domingo → siempre se pasa al lunes
-  if (day === 0) {
-    const monday = new Date(d);
-    monday.setDate(monday.getDate() + 1);
-    return toISODate(monday);
+// World ID vinculado a la wallet de la sesión; si no hay, responde 403
+function requireLinkedNullifier(req, res) {
+  const nullifier = req.wallet.user?.nullifier;
+  if (!nullifier) {
+    res.status(403).json({
+      ok: false,
+      error: "Vincula tu World ID con esta wallet (/api/wallet/link).",
+      code: "WALLET_NOT_LINKED",
+    });
+    return null;
   }
+  return nullifier;
+}
 
-  // Lunes a jueves (1–4)
-  if (day >= 1 && day <= 4) {
-    // Después de las 5:00 pm → siguiente día
-    if (hour > 17 || (hour === 17 && minute >= 0)) {
-      const next = new Date(d);
-      next.setDate(next.getDate() + 1);
-      return toISODate(next);
-    }
-    // Dentro del horario → mismo día
-    return toISODate(d);
+// Nivel de verificación vigente del usuario y la política que le aplica
+// (sin nivel o vencido → política del nivel más bajo)
+async function userLevelPolicy(user) {
+  const nivel = effectiveLevel(user);
+  return { nivel, policy: await policyForLevel(nivel) };
+}
+
+// Cotización y orden resuelven el nivel igual: por el nullifier de la
+// prueba de World ID, no por la wallet vinculada
+async function levelForNullifier(nullifier) {
+  const user = await User.findOne({ nullifier }).lean();
+  return { user, ...(await userLevelPolicy(user)) };
+}
+
+// Órdenes del usuario de la sesión: las de su wallet, las de su World ID y
+// las viejas en las que el frontend mandaba la wallet como nullifier
+function walletOrdersFilter(wallet) {
+  const or = [
+    { wallet: wallet.address },
+    { nullifier: { $in: wallet.variants } },
+  ];
+  if (wallet.user?.nullifier) {
+    or.push({ nullifier: wallet.user.nullifier });
   }
+  return { $or: or };
+}
 
-  // Viernes (5)
-  if (day === 5) {
-    // Después de las 5:00 pm → se cuenta para el sábado
-    if (hour > 17 || (hour === 17 && minute >= 0)) {
-      const saturday = new Date(d);
-      saturday.setDate(saturday.getDate() + 1); // viernes +1 = sábado
-      return toISODate(saturday);
-    }
-    return toISODate(d);
+// Mismo criterio que walletOrdersFilter, sobre una orden ya cargada
+function walletOwnsOrder(wallet, orden) {
+  return (
+    orden.wallet === wallet.address ||
+    wallet.variants.includes(orden.nullifier) ||
+    Boolean(wallet.user?.nullifier && orden.nullifier === wallet.user.nullifier)
+  );
+}
+
+// Errores de negocio conocidos → respuesta JSON; devuelve null si no aplica
+function sendDomainError(res, err) {
+  if (err instanceof OrderTransitionError) {
+    return res.status(err.status).json({
+      ok: false,
+      error: err.message,
+      code: err.code,
+      from: err.from,
+      to: err.to,
+      permitidos: allowedTransitions(err.from),
+    });
   }
+  if (err instanceof BlockedError) {
+    return res
+      .status(err.status)
+      .json({ ok: false, error: err.message, code: err.code });
+  }
+  if (err instanceof LimitLockError) {
+    return res
+      .status(err.status)
+      .json({ ok: false, error: err.message, code: err.code });
+  }
+  if (err instanceof WorldIdError) {
+    return res
+      .status(err.status)
+      .json({ ok: false, error: err.message, code: err.code });
+  }
+  if (err instanceof InventoryClosedError || err instanceof InventoryDayOpenError) {
+    return res.status(err.status).json({
+      ok: false,
+      error: err.message,
+      code: err.code,
+      fecha: err.fecha,
+    });
+  }
+  return null;
+}
 
-  // Sábado (6)
-  if (day === 6) {
-    // Después de las 3:00 pm → se cuenta para el lunes
-    if (hour > 15 || (hour === 15 && minute >= 0)) {
-      const monday = new Date(d);
-      monday.setDate(monday.getDate() + 2); // sábado +2 = lunes
-      return toISODate(monday);
-    }
-    // Antes / hasta las 3 pm → se cuenta para el sábado
-    return toISODate(d);
+// ==============================
+// 🧾 Helpers de auditoría
+// ==============================
+// Campos de la orden que se comparan antes / después (sin datos de pago)
+const AUDIT_ORDER_FIELDS = [
+  "estado",
+  "montoWLD",
+  "montoCOP",
+  "ganancia_cop",
+  "wld_tx_id",
+  "revision_estado_destino",
+  "payout_batch_id",
+  "pago_referencia",
+  "recotizacion",
+  "reembolso",
+  "reembolso_solicitado_en",
+];
+
+function orderAuditSnapshot(orden) {
+  const src = typeof orden?.toObject === "function" ? orden.toObject() : orden;
+  return Object.fromEntries(
+    AUDIT_ORDER_FIELDS.map((campo) => [campo, src?.[campo] ?? null])
+  );
+}
+
+// Lo recoge el middleware de auditoría al terminar la respuesta
+function auditOrderChange(res, orden, antes, detalle = null) {
+  res.locals.audit = {
+    orderId: orden.id,
+    ...diffFields(antes, orderAuditSnapshot(orden)),
+    detalle,
+  };
+}
+
+// ==============================
+// 📣 Eventos de órdenes (SSE + outbox de webhooks)
+// ==============================
+// Después de guardar la transición: avisa a los streams y encola los webhooks
+// en la misma ruta. Si el encolado falla, el barrido de webhooks lo recupera
+// desde status_history; por eso acá solo se registra.
+async function emitOrderEvent(tipo, orden, entry) {
+  const event = publishOrderEvent(tipo, orden, entry);
+  try {
+    await enqueueOrderWebhooks(event);
+  } catch (err) {
+    console.error(`❌ Error encolando webhooks de orden #${orden.id}:`, err.message);
   }
+  return event;
+}
+
+// ==============================
+// 🔗 Helpers de wld_tx_id
+// ==============================
+// Otra orden que ya reclamó esa tx (id) o null. Compara también el hash tal
+// cual, por órdenes viejas guardadas con mayúsculas.
+async function txHashEnUso(txHash, { exceptId = null, raw = txHash } = {}) {
+  const otra = await Order.findOne(
+    { id: { $ne: exceptId }, wld_tx_id: { $in: [...new Set([raw, txHash])] } },
+    { id: 1 }
+  ).lean();
+  return otra ? otra.id : null;
+}
 
-  // Fallback
-  return toISODate(d);
+// La tx reportada no sirve: se quita de la orden (queda en
+// wld_tx_descartadas) para que el usuario reporte la correcta o expire
+async function descartarTx(ord, motivo, detalle = null) {
+  const result = await Order.updateOne(
+    { id: ord.id, estado: ord.estado, wld_tx_id: ord.wld_tx_id },
+    {
+      $set: { wld_tx_id: null, recibo_clasificacion: null },
+      $push: {
+        wld_tx_descartadas: {
+          tx: ord.wld_tx_id,
+          motivo,
+          detalle,
+          at: new Date().toISOString(),
+        },
+      },
+    }
+  );
+  if (result.modifiedCount) {
+    console.warn(
+      `⚠️ Orden #${ord.id}: tx ${ord.wld_tx_id} descartada (${motivo}${detalle ? `: ${detalle}` : ""})`
+    );
+  }
 }
 
 // ==============================
@@ -317,10 +732,11 @@ async function checkPendingWldReceipts() {
     return;
   }
 
-  // Órdenes que todavía no se han marcado como recibidas
+  // Órdenes con tx reportada que todavía no se han clasificado
   const pendientes = await Order.find({
     estado: { $in: ["pendiente", "enviada"] },
     wld_tx_id: { $ne: null },
+    recibo_clasificacion: null,
   })
     .sort({ id: 1 })
     .lean();
@@ -329,87 +745,191 @@ async function checkPendingWldReceipts() {
 
   console.log(`🔍 Revisando ${pendientes.length} órdenes pendientes para WLD recibidos...`);
 
-  const expectedToken = WLD_TOKEN_ADDRESS.toLowerCase();
-  const expectedDestino = WALLET_DESTINO.toLowerCase();
+  // Los días de inventario cerrados no se tocan hasta que se reabran
+  const diasCerrados = await getClosedInventoryDays(
+    pendientes.map((o) => o.inventario_fecha)
+  );
 
   for (const ord of pendientes) {
-    try {
-      const txHash = ord.wld_tx_id;
-      if (!txHash) continue;
+    if (diasCerrados.has(ord.inventario_fecha)) continue;
 
-          // 🔎 Validación rápida de formato de hash
-    if (typeof txHash !== "string" || !txHash.startsWith("0x") || txHash.length !== 66) {
-      console.warn(`⚠️ wld_tx_id con formato raro en orden #${ord.id}:`, txHash);
-      continue;
-    }
+    try {
+      if (!ord.wld_tx_id) continue;
 
-      const receipt = await worldchainProvider.getTransactionReceipt(txHash);
+      // 🔎 Validación de formato de hash
+      const txHash = normalizeTxHash(ord.wld_tx_id);
+      if (!txHash) {
+        await descartarTx(ord, "formato_invalido");
+        continue;
+      }
 
-      // Si aún no hay receipt o falló, continuamos esperando
-      if (!receipt || receipt.status !== 1) {
+      // Una misma Transfer no puede marcar dos órdenes como recibidas: gana
+      // la que ya se clasificó o, si ninguna, la de menor id
+      const duplicada = await Order.findOne(
+        {
+          id: { $ne: ord.id },
+          wld_tx_id: { $in: [...new Set([ord.wld_tx_id, txHash])] },
+          $or: [{ recibo_clasificacion: { $ne: null } }, { id: { $lt: ord.id } }],
+        },
+        { id: 1 }
+      ).lean();
+      if (duplicada) {
+        await descartarTx(ord, "tx_duplicada", `Ya usada por la orden #${duplicada.id}`);
         continue;
       }
 
-      const logs = receipt.logs || [];
-      const expectedFrom = (ord.nullifier || "").toLowerCase();
-      const expectedValue = toTokenUnitsBigInt(String(ord.montoWLD || 0), 18);
+      const receipt = await worldchainProvider.getTransactionReceipt(txHash);
 
-      let match = false;
+      const resultado = classifyWldReceipt(receipt, {
+        iface: wldInterface,
+        tokenAddress: WLD_TOKEN_ADDRESS,
+        destino: WALLET_DESTINO,
+        expectedFrom: ord.wallet || ord.nullifier,
+        expectedValue: toTokenUnitsBigInt(String(ord.montoWLD || 0), 18),
+      });
 
-      for (const log of logs) {
-        if (!log.address || log.address.toLowerCase() !== expectedToken) {
-          continue;
-        }
+      // Aún no minada: seguimos esperando
+      if (!resultado) {
+        continue;
+      }
 
-        let parsed;
-        try {
-          parsed = wldInterface.parseLog(log);
-        } catch {
-          continue;
+      const { clasificacion, recibidoWei, remitente } = resultado;
+      const recibidoWld = Number(ethers.formatUnits(recibidoWei, 18));
+
+      const recibo = {
+        recibo_clasificacion: clasificacion,
+        recibo_revisado_en: new Date().toISOString(),
+        wld_recibido: recibidoWld,
+        wld_recibido_wei: recibidoWei.toString(),
+        wld_remitente: remitente,
+      };
+
+      let destinoEstado = null;
+      let reason;
+      let riesgo = null;
+      if (clasificacion === "exacto") {
+        destinoEstado = "recibida_wld";
+
+        // 🚨 Riesgo al recibir (ej: wallet nueva enviando montos altos)
+        riesgo = await evaluateOrderRisk(
+          { ...ord, wld_remitente: remitente },
+          { fase: "recibo", provider: worldchainProvider }
+        );
+        if (riesgo.revisar) {
+          destinoEstado = "en_revision";
+          recibo.revision_estado_destino = "recibida_wld";
+          reason = `Riesgo ${riesgo.score}: ${riesgo.reglas.map((r) => r.regla).join(", ")}`;
         }
 
-        if (parsed.name !== "Transfer") continue;
+        // ⛔ Remitente, identidad o cuenta en la lista de bloqueo
+        if (
+          await isBlocked({
+            nullifier: ord.nullifier,
+            wallet: remitente,
+            cuenta: decryptPii(ord.numero),
+          })
+        ) {
+          destinoEstado = "en_revision";
+          recibo.revision_estado_destino = "recibida_wld";
+          reason = "Coincide con la lista de bloqueo";
+        }
+      } else if (clasificacion === "pago_menor" || clasificacion === "pago_mayor") {
+        destinoEstado = "revision_monto";
+        reason = `Recibidos ${recibidoWld} WLD de ${ord.montoWLD} esperados`;
+      } else if (clasificacion === "remitente_incorrecto") {
+        // Llegó WLD, pero desde otra wallet: el admin decide si la acepta
+        destinoEstado = "en_revision";
+        recibo.revision_estado_destino = "recibida_wld";
+        reason = `WLD recibido desde ${remitente}, no desde la wallet de la orden`;
+      } else if (clasificacion === "token_incorrecto") {
+        // Llegó otro token: el admin lo devuelve y la orden vuelve a pendiente
+        destinoEstado = "en_revision";
+        recibo.revision_estado_destino = "pendiente";
+        reason = `Llegó otro token (${resultado.token}) en vez de WLD`;
+      }
 
-        const from =
-          (parsed.args.from || parsed.args[0] || "").toLowerCase();
-        const to = (parsed.args.to || parsed.args[1] || "").toLowerCase();
-        const valueBig = BigInt(
-          parsed.args.value?.toString() || parsed.args[2]?.toString() || "0"
-        );
+      if (!destinoEstado) {
+        // tx_fallida / sin_transferencia: no llegó nada, la orden sigue
+        // esperando una tx válida (o expira)
+        await descartarTx(ord, clasificacion);
+        continue;
+      }
 
-        // Debe ser un transfer hacia WALLET_DESTINO, desde el usuario (opcional) y por el monto exacto
-        if (to === expectedDestino && valueBig === expectedValue) {
-          if (!expectedFrom || from === expectedFrom) {
-            match = true;
-            break;
-          }
-        }
+      const { filter, update, entry } = buildTransitionUpdate(ord, destinoEstado, {
+        actor: "system:checkPendingWldReceipts",
+        reason,
+        set: recibo,
+      });
+      if (riesgo) {
+        update.$push.riesgo = riesgo;
       }
 
-      if (!match) {
+      const result = await Order.updateOne(filter, update);
+      if (!result.modifiedCount) {
+        // Otro proceso (o un admin) cambió el estado mientras revisábamos
         continue;
       }
+      await emitOrderEvent("estado", ord, entry);
+
+      console.log(
+        `🟣 Orden #${ord.id} marcada automáticamente como '${destinoEstado}' (${clasificacion}, tx ${txHash})`
+      );
+    } catch (err) {
+      console.error(`❌ Error autoCheck en orden #${ord.id}:`, err.message);
+    }
+  }
+}
+
+// ==============================
+// 💸 checkPendingRefunds: confirmar reembolsos enviados
+// ==============================
+async function checkPendingRefunds() {
+  if (!worldchainProvider) return;
+
+  const enCurso = await Order.find({
+    estado: "reembolso_pendiente",
+    "reembolso.tx_hash": { $ne: null },
+  })
+    .sort({ id: 1 })
+    .lean();
+
+  const diasCerrados = await getClosedInventoryDays(
+    enCurso.map((o) => o.inventario_fecha)
+  );
+
+  for (const ord of enCurso) {
+    if (diasCerrados.has(ord.inventario_fecha)) continue;
 
+    try {
+      const receipt = await worldchainProvider.getTransactionReceipt(
+        ord.reembolso.tx_hash
+      );
+      if (!receipt) continue;
+
+      const ok = receipt.status === 1 || receipt.status === 1n;
       const nowIso = new Date().toISOString();
 
-      await Order.updateOne(
-        { id: ord.id },
+      const { filter, update, entry } = buildTransitionUpdate(
+        ord,
+        ok ? "reembolsada" : "rechazada",
         {
-          $set: {
-            estado: "recibida_wld",
-            actualizada_en: nowIso,
-          },
-          $push: {
-            status_history: { at: nowIso, to: "recibida_wld" },
-          },
+          actor: "system:checkPendingRefunds",
+          reason: ok ? undefined : "La tx de reembolso falló en la red",
+          set: ok
+            ? { "reembolso.confirmado_en": nowIso }
+            : { "reembolso.error": "tx revertida" },
         }
       );
 
-      console.log(
-        `🟣 Orden #${ord.id} marcada automáticamente como 'recibida_wld' (tx ${txHash})`
-      );
+      const result = await Order.updateOne(filter, update);
+      if (result.modifiedCount) {
+        await emitOrderEvent("estado", ord, entry);
+        console.log(
+          `💸 Reembolso de orden #${ord.id} ${ok ? "confirmado" : "falló"} (tx ${ord.reembolso.tx_hash})`
+        );
+      }
     } catch (err) {
-      console.error(`❌ Error autoCheck en orden #${ord.id}:`, err.message);
+      console.error(`❌ Error revisando reembolso de orden #${ord.id}:`, err.message);
     }
   }
 }
@@ -436,9 +956,86 @@ function startAutoCheckWldReceipts() {
     checkPendingWldReceipts().catch((err) =>
       console.error("❌ Error en autoCheckWldReceipts:", err)
     );
+    checkPendingRefunds().catch((err) =>
+      console.error("❌ Error en checkPendingRefunds:", err)
+    );
   }, 30_000);
 }
 
+// ==============================
+// ⌛ expirePendingOrders: órdenes 'pendiente' sin wld_tx_id que superan
+// el TTL pasan a 'expirada' (dejan de contar en el límite diario)
+// ==============================
+async function getPendingOrderTtlMin() {
+  const value = Number(
+    await getSetting(PENDING_ORDER_TTL_SETTING, PENDING_ORDER_TTL_MIN)
+  );
+  return Number.isFinite(value) && value > 0 ? value : PENDING_ORDER_TTL_MIN;
+}
+
+async function expirePendingOrders() {
+  const ttlMin = await getPendingOrderTtlMin();
+
+  // creada_en se guarda con el reloj de Colombia (getColombiaNow)
+  const limiteISO = new Date(
+    getColombiaNow().getTime() - ttlMin * 60_000
+  ).toISOString();
+
+  const vencidas = await Order.find({
+    estado: "pendiente",
+    wld_tx_id: null,
+    creada_en: { $lt: limiteISO },
+  })
+    .sort({ id: 1 })
+    .lean();
+
+  if (!vencidas.length) return;
+
+  const diasCerrados = await getClosedInventoryDays(
+    vencidas.map((o) => o.inventario_fecha)
+  );
+
+  for (const ord of vencidas) {
+    if (diasCerrados.has(ord.inventario_fecha)) continue;
+
+    try {
+      const { filter, update, entry } = buildTransitionUpdate(ord, "expirada", {
+        actor: "system:expirePendingOrders",
+        reason: `Sin wld_tx_id después de ${ttlMin} min`,
+      });
+
+      // Si justo llegó el wld_tx_id, no la expiramos
+      const result = await Order.updateOne(
+        { ...filter, wld_tx_id: null },
+        update
+      );
+
+      if (result.modifiedCount) {
+        await emitOrderEvent("estado", ord, entry);
+        console.log(`⌛ Orden #${ord.id} marcada como 'expirada'`);
+      }
+    } catch (err) {
+      console.error(`❌ Error expirando orden #${ord.id}:`, err.message);
+    }
+  }
+}
+
+function startAutoExpirePendingOrders() {
+  console.log(
+    "⌛ expirePendingOrders activo: revisando órdenes vencidas cada minuto."
+  );
+
+  expirePendingOrders().catch((err) =>
+    console.error("❌ Error inicial en expirePendingOrders:", err)
+  );
+
+  setInterval(() => {
+    expirePendingOrders().catch((err) =>
+      console.error("❌ Error en expirePendingOrders:", err)
+    );
+  }, 60_000);
+}
+
 // ==============================
 // ROOT
 // ==============================
@@ -447,15 +1044,16 @@ app.get("/", (_, res) => res.send("🚀 ChangeWLD backend OK"));
 // ==============================
 // 🔐 SIWE: obtener nonce
 // ==============================
-app.get("/api/wallet-auth/nonce", (req, res) => {
+app.get("/api/wallet-auth/nonce", async (req, res) => {
   try {
-    const nonce = crypto.randomBytes(16).toString("hex"); // 32 chars
-    const signedNonce = hashNonce(nonce);
+    // Un solo uso y vence en SIWE_NONCE_TTL_SEC
+    const { nonce, signedNonce, expira_en_seg } = await issueSiweNonce();
 
     return res.json({
       ok: true,
       nonce,
       signedNonce,
+      expira_en_seg,
     });
   } catch (err) {
     console.error("❌ Error generando nonce SIWE:", err);
@@ -478,12 +1076,6 @@ app.post("/api/wallet-auth/complete", async (req, res) => {
         .json({ ok: false, error: "Faltan campos en el body" });
     }
 
-    const expectedSignedNonce = hashNonce(nonce);
-    if (signedNonce !== expectedSignedNonce) {
-      console.log("❌ signedNonce inválido");
-      return res.status(401).json({ ok: false, error: "Nonce inválido" });
-    }
-
     let finalPayload;
     try {
       finalPayload = JSON.parse(finalPayloadJson);
@@ -492,6 +1084,14 @@ app.post("/api/wallet-auth/complete", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Payload inválido" });
     }
 
+    // Se consume antes de verificar: un nonce no sirve para un segundo intento
+    if (!(await consumeSiweNonce(nonce, signedNonce))) {
+      console.log("❌ Nonce SIWE inválido, vencido o ya usado");
+      return res
+        .status(401)
+        .json({ ok: false, error: "Nonce inválido o vencido" });
+    }
+
     const result = await verifySiweMessage(finalPayload, nonce);
 
     if (!result.isValid || !result.siweMessageData?.address) {
@@ -503,17 +1103,19 @@ app.post("/api/wallet-auth/complete", async (req, res) => {
 
     const walletAddress = result.siweMessageData.address;
 
-    // Opcional: crear un token de sesión para esa wallet
-    const walletToken = jwt.sign(
-      { role: "wallet", walletAddress },
-      ADMIN_JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // Sesión: access token corto + refresh token que rota
+    const { walletToken, expiresIn, refreshToken } = await createWalletSession({
+      walletAddress,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
 
     return res.json({
       ok: true,
       walletAddress,
       walletToken,
+      expiresIn,
+      refreshToken,
     });
   } catch (err) {
     console.error("❌ Error en /api/wallet-auth/complete:", err);
@@ -523,10 +1125,45 @@ app.post("/api/wallet-auth/complete", async (req, res) => {
   }
 });
 
+// ==============================
+// 🔐 SIWE: renovar sesión (el refresh token rota en cada uso)
+// ==============================
+app.post("/api/wallet-auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const tokens = await rotateRefreshToken(refreshToken);
+
+    return res.json({ ok: true, ...tokens });
+  } catch (err) {
+    if (err instanceof WalletSessionError) {
+      return res
+        .status(err.status)
+        .json({ ok: false, error: err.message, code: err.code });
+    }
+    console.error("❌ Error en /api/wallet-auth/refresh:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🔐 SIWE: cerrar sesión
+// ==============================
+app.post("/api/wallet-auth/logout", requireWalletAuth, async (req, res) => {
+  try {
+    await revokeWalletSession(req.wallet.sid, { actor: "user" });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Error en /api/wallet-auth/logout:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // ==============================
 // 🌐 WORLD ID API (MiniKit verifyCloudProof)
 // ==============================
-app.post("/api/verify-world-id", async (req, res) => {
+// Exige sesión de wallet: la prueba se genera con signal = esa wallet, así
+// una prueba ajena (otro signal) no se puede reusar desde otra sesión
+app.post("/api/verify-world-id", requireWalletAuth, async (req, res) => {
   try {
     if (!APP_ID) {
       return res
@@ -545,14 +1182,53 @@ app.post("/api/verify-world-id", async (req, res) => {
         .json({ success: false, error: "Payload inválido o incompleto" });
     }
 
+    try {
+      assertExpectedAction(action);
+    } catch (err) {
+      return res
+        .status(err.status)
+        .json({ success: false, error: err.message, code: err.code });
+    }
+
+    if (typeof signal !== "string" || signal.toLowerCase() !== req.wallet.address) {
+      return res.status(400).json({
+        success: false,
+        error: "El signal de la prueba debe ser la wallet de la sesión",
+        code: "WORLD_ID_SIGNAL_MISMATCH",
+      });
+    }
+
     const verifyRes = await verifyCloudProof(payload, APP_ID, action, signal);
 
     console.log("🔹 Resultado verifyCloudProof:", verifyRes);
 
     if (verifyRes.success) {
+      // Guardamos la prueba; el cliente solo recibe el token para crear órdenes
+      const { verificationToken, expira_en } = await createVerification({
+        nullifierHash: payload.nullifier_hash,
+        verificationLevel: payload.verification_level,
+        action,
+        signal,
+        wallet: req.wallet.address,
+      });
+
+      // 🪪 Nivel más alto vigente + fecha de la última verificación
+      const user = await User.findOne({ nullifier: payload.nullifier_hash }).lean();
+      const nivelSet = verificationUpdate(user, payload.verification_level);
+      if (nivelSet) {
+        await User.updateOne(
+          { nullifier: payload.nullifier_hash },
+          { $set: { ...nivelSet, updatedAt: new Date() } },
+          { upsert: true }
+        );
+      }
+
       return res.json({
         success: true,
         verifyRes,
+        verificationToken,
+        verification_level: payload.verification_level,
+        expira_en,
       });
     } else {
       return res.status(400).json({
@@ -572,14 +1248,15 @@ app.post("/api/verify-world-id", async (req, res) => {
 // ==============================
 // 🔗 VINCULAR WALLET A NULLIFIER
 // ==============================
-app.post("/api/wallet/link", async (req, res) => {
+app.post("/api/wallet/link", requireWalletAuth, async (req, res) => {
   try {
-    const { nullifier, address, message, signature } = req.body || {};
+    const { verificationToken, address, message, signature } = req.body || {};
 
-    if (!nullifier || !address || !message || !signature) {
+    if (!verificationToken || !address || !message || !signature) {
       return res.status(400).json({
         ok: false,
-        error: "Faltan datos (nullifier, address, message, signature).",
+        error:
+          "Faltan datos (verificationToken, address, message, signature).",
       });
     }
 
@@ -602,8 +1279,21 @@ app.post("/api/wallet/link", async (req, res) => {
       });
     }
 
-    // 2️⃣ Guardar / actualizar usuario en Mongo
-    const nullifierStr = String(nullifier);
+    // Solo se vincula la wallet con la que se inició sesión
+    if (address.toLowerCase() !== req.wallet.address) {
+      return res.status(403).json({
+        ok: false,
+        error: "La wallet no corresponde a la sesión.",
+      });
+    }
+
+    // 2️⃣ Guardar / actualizar usuario en Mongo (nullifier verificado por World ID)
+    const verificacion = await resolveVerification(verificationToken, {
+      wallet: req.wallet.address,
+    });
+    const nullifierStr = verificacion.nullifier_hash;
+
+    await assertNotBlocked({ nullifier: nullifierStr, wallet: address });
 
     const user = await User.findOneAndUpdate(
       { nullifier: nullifierStr },
@@ -626,6 +1316,7 @@ app.post("/api/wallet/link", async (req, res) => {
       userId: user._id,
     });
   } catch (err) {
+    if (sendDomainError(res, err)) return;
     console.error("❌ Error en /api/wallet/link:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
@@ -634,28 +1325,13 @@ app.post("/api/wallet/link", async (req, res) => {
 // ==============================
 // 🔄 ACTUALIZAR BALANCE POR NULLIFIER
 // ==============================
-app.get("/api/user/balance", async (req, res) => {
+app.get("/api/user/balance", requireWalletAuth, async (req, res) => {
   try {
-    const { nullifier } = req.query || {};
-    if (!nullifier) {
-      return res.status(400).json({ ok: false, error: "nullifier requerido" });
-    }
-
-    const user = await User.findOne({ nullifier: String(nullifier) }).lean();
-
-    if (!user || !user.walletAddress) {
-      return res.json({
-        ok: true,
-        wallet: null,
-        balanceWLD: 0,
-      });
-    }
-
-    const balance = await getWldBalance(user.walletAddress);
+    const balance = await getWldBalance(req.wallet.address);
 
     return res.json({
       ok: true,
-      wallet: user.walletAddress,
+      wallet: req.wallet.address,
       balanceWLD: balance,
     });
   } catch (err) {
@@ -665,15 +1341,43 @@ app.get("/api/user/balance", async (req, res) => {
 });
 
 // ==============================
-// 💰 Obtener balance WLD en World Chain (por address directa)
+// 🔒 LÍMITES DISPONIBLES DEL USUARIO
 // ==============================
-app.get("/api/wallet-balance", async (req, res) => {
+app.get("/api/user/limits", requireWalletAuth, async (req, res) => {
   try {
-    const address = String(req.query.address || "").trim();
+    const nullifierStr = requireLinkedNullifier(req, res);
+    if (!nullifierStr) return;
 
-    if (!address || !address.startsWith("0x") || address.length < 20) {
-      return res.status(400).json({ ok: false, error: "Address inválida" });
-    }
+    const { nivel, policy } = await userLevelPolicy(req.wallet.user);
+    const tier = await resolveTier(req.wallet.user.tier || policy.tier);
+    const usage = await computeUsage(nullifierStr, getColombiaNow());
+
+    return res.json({
+      ok: true,
+      ...remainingAllowance(tier, usage),
+      verificacion: {
+        nivel,
+        ultima: req.wallet.user.lastVerifiedAt || null,
+        reverificacion_requerida: isVerificationExpired(req.wallet.user),
+        bancos: policy.bancos || listPayoutMethods(),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Error en /api/user/limits:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 💰 Obtener balance WLD en World Chain (por address directa)
+// ==============================
+app.get("/api/wallet-balance", async (req, res) => {
+  try {
+    const address = String(req.query.address || "").trim();
+
+    if (!address || !address.startsWith("0x") || address.length < 20) {
+      return res.status(400).json({ ok: false, error: "Address inválida" });
+    }
 
     const balance = await getWldBalance(address); // número en WLD
 
@@ -707,323 +1411,2812 @@ app.get("/api/rate", async (_, res) => {
   }
 });
 
+// ==============================
+// 🧾 COTIZACIÓN: bloquear tasa para un montoWLD
+// ==============================
+app.post("/api/quotes", requireWalletAuth, async (req, res) => {
+  try {
+    const { montoWLD, verificationToken } = req.body || {};
+
+    // El spread depende del nivel de verificación de la identidad (el mismo
+    // verificationToken que luego crea la orden)
+    const verificacion = await resolveVerification(verificationToken, {
+      wallet: req.wallet.address,
+    });
+    const { nivel, policy } = await levelForNullifier(verificacion.nullifier_hash);
+
+    const quote = await createQuote({
+      montoWLD,
+      spread: policy.spread,
+      nivel,
+      nullifier: verificacion.nullifier_hash,
+    });
+
+    return res.json({
+      ok: true,
+      quoteId: quote.quoteId,
+      montoWLD: quote.montoWLD,
+      montoCOP: quote.montoCOP,
+      wld_cop_usuario: quote.wld_cop_usuario,
+      spread_percent: quote.spread_percent,
+      verification_level: quote.verification_level,
+      expira_en: quote.expira_en,
+    });
+  } catch (err) {
+    if (err instanceof QuoteError) {
+      return res
+        .status(err.status)
+        .json({ ok: false, error: err.message, code: err.code });
+    }
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/quotes:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // ==============================
 // 🔑 LOGIN ADMIN (JWT)
 // ==============================
 app.post("/api/admin/login", async (req, res) => {
   try {
-    const { pin } = req.body || {};
-    if (!pin || String(pin) !== String(OPERATOR_PIN)) {
-      return res.status(401).json({ ok: false, error: "PIN inválido" });
+    const { username, password, totp } = req.body || {};
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Usuario y contraseña son obligatorios" });
     }
 
-    const token = createAdminToken();
+    // El token aún no existe: la auditoría toma el actor de aquí
+    res.locals.audit = {
+      actor: "anon",
+      detalle: { username: String(username).toLowerCase() },
+    };
+
+    const user = await authenticateAdmin({ username, password, totp });
+    res.locals.audit = {
+      actor: `admin:${user.username}`,
+      role: user.role,
+    };
+    const token = createAdminToken(user);
 
     return res.json({
       ok: true,
       token,
+      username: user.username,
+      role: user.role,
+      // Sin TOTP el token solo sirve para /api/admin/totp/*
+      totpSetupRequired: !user.totp_activo,
     });
   } catch (err) {
+    if (err instanceof AdminAuthError) {
+      if (res.locals.audit) res.locals.audit.detalle.code = err.code;
+      return res
+        .status(err.status)
+        .json({ ok: false, error: err.message, code: err.code });
+    }
     console.error("❌ Error en /api/admin/login:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 // ==============================
-// 📦 CREAR ORDEN
+// 🔑 ADMIN — Activar TOTP (segundo factor)
 // ==============================
-app.post("/api/orders", async (req, res) => {
+// 1) /iniciar devuelve el otpauth:// para escanear  2) /confirmar con un código
+app.post("/api/admin/totp/iniciar", async (req, res) => {
   try {
-    const {
-      banco,
-      titular,
-      numero,
-      montoWLD,
-      montoCOP,
-      verified,
-      nullifier,
-      wld_tx_id,
-    } = req.body;
-
-    const bancosPermitidos = ["Nequi", "Llave Bre-B"];
-    if (!bancosPermitidos.includes(banco)) {
-      return res.status(400).json({ ok: false, error: "Banco no permitido" });
+    const admin = getAdminPayload(req, "totp");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
     }
 
-    if (!verified || !nullifier) {
-      return res.status(400).json({
+    // Cambiar un TOTP activo pasa por un supervisor (resetTotp)
+    if (await AdminUser.exists({ username: admin.sub, totp_activo: true })) {
+      return res.status(409).json({
         ok: false,
-        error: "Orden sin verificación World ID",
+        error: "TOTP ya está activo. Pide a un supervisor que lo reinicie.",
       });
     }
 
-    // 🔹 Conversión y validación de monto mínimo
-    const montoWldNumber = Number(montoWLD || 0);
-    if (!Number.isFinite(montoWldNumber) || montoWldNumber < 1) {
-      return res.status(400).json({
-        ok: false,
-        error: "El monto mínimo por orden es de 1 WLD.",
-      });
+    const { secret, otpauth } = await startTotpEnrollment(admin.sub);
+    return res.json({ ok: true, secret, otpauth });
+  } catch (err) {
+    if (err instanceof AdminAuthError) {
+      return res
+        .status(err.status)
+        .json({ ok: false, error: err.message, code: err.code });
     }
+    console.error("❌ Error en POST /api/admin/totp/iniciar:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-    const nullifierStr = String(nullifier);
-
-    // 🔒 LIMITES POR NULLIFIER (solo cantidad de órdenes por día natural en Colombia)
-    const ahoraColombia = getColombiaNow();
-    const inicioHoyCol = new Date(ahoraColombia);
-    inicioHoyCol.setHours(0, 0, 0, 0);
-    const inicioHoyISO = inicioHoyCol.toISOString();
-
-    const ordersToday = await Order.find({
-      nullifier: nullifierStr,
-      creada_en: { $gte: inicioHoyISO },
-    }).lean();
-
-    if (ordersToday.length >= MAX_ORDERS_PER_NULLIFIER_PER_DAY) {
-      return res.status(429).json({
-        ok: false,
-        error:
-          "Has alcanzado el número máximo de órdenes permitidas por hoy. Intenta nuevamente mañana.",
-      });
+app.post("/api/admin/totp/confirmar", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "totp");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
     }
 
-    // ✅ Si pasa las validaciones, calculamos tiempos e inventario
-    const ahoraISO = ahoraColombia.toISOString();
-    const inventarioFecha = calcularInventarioFecha(ahoraColombia);
-
-    // Ganancia = lo que cobras de spread (usando SPREAD del backend)
-    const gananciaCop = (() => {
-      const mCop = Number(montoCOP);
-      const s = SPREAD; // ej: 0.25
-      if (!Number.isFinite(mCop) || s <= 0 || s >= 1) return 0;
-      return Number(((mCop * s) / (1 - s)).toFixed(2));
-    })();
-
-    const newId = await getNextOrderId();
+    await confirmTotpEnrollment(admin.sub, req.body?.code);
 
-    const nueva = await Order.create({
-      id: newId,
-      banco,
-      titular,
-      numero,
-      montoWLD: montoWldNumber,
-      montoCOP: Number(montoCOP),
-      verified: Boolean(verified),
-      nullifier: nullifierStr,
-      estado: "pendiente",
-      creada_en: ahoraISO,
-      actualizada_en: ahoraISO,
-      wld_tx_id: wld_tx_id || null,
-      inventario_fecha: inventarioFecha,
-      ganancia_cop: gananciaCop,
-      status_history: [
-        {
-          at: ahoraISO,
-          to: "pendiente",
-        },
-      ],
-    });
-
-    res.json({ ok: true, orden: nueva });
+    // Token nuevo, ya con el segundo factor
+    const user = await AdminUser.findOne({ username: admin.sub }).lean();
+    return res.json({ ok: true, token: createAdminToken(user) });
   } catch (err) {
-    console.error("❌ Error en POST /api/orders:", err);
-    res.status(500).json({ ok: false, error: err.message });
+    if (err instanceof AdminAuthError) {
+      return res
+        .status(err.status)
+        .json({ ok: false, error: err.message, code: err.code });
+    }
+    console.error("❌ Error en POST /api/admin/totp/confirmar:", err);
+    return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 // ==============================
-// 📦 OBTENER ÓRDENES POR FECHA DE INVENTARIO
+// 👤 ADMIN — Cuentas de admin (solo supervisor)
 // ==============================
-app.get("/api/orders-por-dia", async (req, res) => {
+const ADMIN_USER_PROJECTION = {
+  passwordHash: 0,
+  totp_secret: 0,
+  totp_ultimo_paso: 0,
+};
+
+app.get("/api/admin/usuarios", async (req, res) => {
   try {
-    const { fecha } = req.query || {}; // esperado "YYYY-MM-DD"
-    if (!fecha) {
-      return res.status(400).json({
-        ok: false,
-        error: "Parámetro 'fecha' es requerido (YYYY-MM-DD)",
-      });
+    if (!getAdminPayload(req, "supervisar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
     }
 
-    const orders = await Order.find({ inventario_fecha: fecha })
-      .sort({ id: 1 })
+    const usuarios = await AdminUser.find({}, ADMIN_USER_PROJECTION)
+      .sort({ username: 1 })
       .lean();
 
-    return res.json({
-      ok: true,
-      fecha,
-      count: orders.length,
-      orders,
-    });
+    return res.json({ ok: true, count: usuarios.length, usuarios });
   } catch (err) {
-    console.error("❌ Error en GET /api/orders-por-dia:", err);
+    console.error("❌ Error en GET /api/admin/usuarios:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-// ==============================
-// 📦 OBTENER ORDEN POR ID
-// ==============================
-app.get("/api/orders/:id", async (req, res) => {
+app.post("/api/admin/usuarios", async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    const orden = await Order.findOne({ id }).lean();
-
-    if (!orden) {
-      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
     }
 
-    res.json(orden);
-  } catch (err) {
-    console.error("❌ Error en GET /api/orders/:id:", err);
-    res.status(500).json({ ok: false, error: err.message });
-  }
-});
-
-// ==============================
-// 📦 OBTENER ÓRDENES POR WALLET (HISTORIAL)
-// ==============================
-app.get("/api/orders-by-wallet", async (req, res) => {
-  try {
-    const { wallet } = req.query || {};
+    const { username, password, role } = req.body || {};
+    const usernameStr = String(username || "").toLowerCase().trim();
 
-    if (!wallet) {
+    if (!/^[a-z0-9._-]{3,32}$/.test(usernameStr)) {
+      return res.status(400).json({
+        ok: false,
+        error: "username debe tener 3 a 32 letras, números, '.', '_' o '-'",
+      });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
       return res
         .status(400)
-        .json({ ok: false, error: "wallet requerida en la query" });
+        .json({ ok: false, error: "Rol inválido", roles: ADMIN_ROLES });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ ok: false, error: passwordError });
     }
 
-    // Usamos el campo "nullifier" para guardar la identidad del usuario.
-    // En tu flujo actual, estás enviando la wallet como nullifier desde el frontend.
-    const walletStr = String(wallet);
+    if (await AdminUser.exists({ username: usernameStr })) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "Ya existe un admin con ese username" });
+    }
 
-    const orders = await Order.find({
-      nullifier: walletStr,
-    })
-      .sort({ id: -1 })
-      .lean();
+    const user = await AdminUser.create({
+      username: usernameStr,
+      passwordHash: await hashPassword(password),
+      role,
+      creado_por: adminActor(admin),
+    });
 
     return res.json({
       ok: true,
-      wallet: walletStr,
-      count: orders.length,
-      orders,
+      usuario: { username: user.username, role: user.role, activo: user.activo },
     });
   } catch (err) {
-    console.error("❌ Error en GET /api/orders-by-wallet:", err);
+    console.error("❌ Error en POST /api/admin/usuarios:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-// ==============================
-// 📦 OBTENER ÓRDENES POR NULLIFIER (historial del usuario)
-// ==============================
-app.get("/api/orders-by-nullifier", async (req, res) => {
+// Cambiar rol, (des)activar, desbloquear, resetear contraseña o TOTP
+app.put("/api/admin/usuarios/:username", async (req, res) => {
   try {
-    const { nullifier } = req.query || {};
-    if (!nullifier) {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
       return res
-        .status(400)
-        .json({ ok: false, error: "nullifier requerido" });
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
     }
 
-    const nullifierStr = String(nullifier);
+    const username = String(req.params.username || "").toLowerCase();
+    const { role, activo, password, desbloquear, resetTotp } = req.body || {};
+    const set = {};
 
-    const orders = await Order.find({ nullifier: nullifierStr })
-      .sort({ id: -1 })
-      .limit(50)
-      .lean();
+    if (role !== undefined) {
+      if (!ADMIN_ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "Rol inválido", roles: ADMIN_ROLES });
+      }
+      set.role = role;
+    }
+    if (activo !== undefined) set.activo = Boolean(activo);
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ ok: false, error: passwordError });
+      }
+      set.passwordHash = await hashPassword(password);
+    }
+    if (desbloquear) {
+      set.intentos_fallidos = 0;
+      set.bloqueado_hasta = null;
+    }
+    if (resetTotp) {
+      set.totp_secret = null;
+      set.totp_activo = false;
+      set.totp_ultimo_paso = 0;
+    }
 
-    return res.json({
-      ok: true,
-      orders,
-    });
+    if (!Object.keys(set).length) {
+      return res.status(400).json({ ok: false, error: "Nada que actualizar" });
+    }
+
+    // Rol, cuenta, contraseña o TOTP cambiados: los tokens vigentes caen
+    const invalidaTokens = ["role", "activo", "passwordHash", "totp_activo"].some(
+      (campo) => campo in set
+    );
+
+    // Un supervisor no se quita a sí mismo el rol ni la cuenta
+    if (username === admin.sub && (set.role || set.activo === false)) {
+      return res.status(400).json({
+        ok: false,
+        error: "No puedes cambiar tu propio rol ni desactivar tu cuenta",
+      });
+    }
+
+    const usuario = await AdminUser.findOneAndUpdate(
+      { username },
+      { $set: set, ...(invalidaTokens ? { $inc: { token_version: 1 } } : {}) },
+      { new: true, projection: ADMIN_USER_PROJECTION }
+    ).lean();
+
+    if (!usuario) {
+      return res.status(404).json({ ok: false, error: "Admin no encontrado" });
+    }
+
+    console.log(
+      `👤 Admin '${username}' actualizado por ${adminActor(admin)}: ${Object.keys(set).join(", ")}`
+    );
+
+    return res.json({ ok: true, usuario });
   } catch (err) {
-    console.error("❌ Error en GET /api/orders-by-nullifier:", err);
+    console.error("❌ Error en PUT /api/admin/usuarios/:username:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 // ==============================
-// 🛠 ADMIN — Listar órdenes (POST /api/orders-admin)
+// 📦 CREAR ORDEN
 // ==============================
-app.post("/api/orders-admin", async (req, res) => {
-  try {
-    if (!isAdminAuthenticated(req)) {
-      return res.status(403).json({ ok: false, error: "No autorizado" });
-    }
+app.post(
+  "/api/orders",
+  requireWalletAuth,
+  idempotency("POST /api/orders"),
+  async (req, res) => {
+    try {
+      const {
+        banco,
+        titular,
+        numero,
+        tipoLlave,
+        montoWLD,
+        quoteId,
+        verificationToken,
+        wld_tx_id,
+      } = req.body;
+
+      // 💳 Destino de pago: formato estricto por banco + datos normalizados
+      const destino = validatePayoutDestination({
+        banco,
+        titular,
+        numero,
+        tipoLlave,
+      });
+      if (!destino.ok) {
+        return res.status(400).json({
+          ok: false,
+          error: "Datos de pago inválidos",
+          code: "PAYOUT_DESTINATION_INVALID",
+          errors: destino.errors,
+        });
+      }
 
-    const orders = await Order.find().sort({ id: -1 }).lean();
-    return res.json(orders);
-  } catch (err) {
-    console.error("Error en POST /api/orders-admin:", err);
-    return res.status(500).json({ ok: false, error: err.message });
+      // 🌐 La identidad sale de la prueba de World ID verificada aquí,
+      // nunca de lo que diga el body
+      const verificacion = await resolveVerification(verificationToken, {
+        wallet: req.wallet.address,
+      });
+      const nullifierStr = verificacion.nullifier_hash;
+
+      if (!quoteId) {
+        return res.status(400).json({
+          ok: false,
+          error: "Falta la cotización (quoteId). Solicítala en /api/quotes.",
+          code: "QUOTE_REQUIRED",
+        });
+      }
+
+      // 🔗 Una tx de WLD solo puede respaldar una orden
+      const txHash = wld_tx_id ? normalizeTxHash(wld_tx_id) : null;
+      if (wld_tx_id && !txHash) {
+        return res.status(400).json({
+          ok: false,
+          error: "wld_tx_id inválido (0x + 64 hex).",
+          code: "TX_HASH_INVALID",
+        });
+      }
+      if (txHash && (await txHashEnUso(txHash))) {
+        return res.status(409).json({
+          ok: false,
+          error: "Esa transacción ya está asociada a otra orden.",
+          code: "TX_ALREADY_USED",
+        });
+      }
+
+      await assertNotBlocked({
+        nullifier: nullifierStr,
+        wallet: req.wallet.address,
+        cuenta: destino.value.numero,
+      });
+
+      const ahoraColombia = getColombiaNow();
+
+      // 🪪 Nivel de verificación vigente → bancos permitidos, spread y límites
+      const { user, nivel, policy } = await levelForNullifier(nullifierStr);
+
+      if (policy.bancos && !policy.bancos.includes(banco)) {
+        return res.status(400).json({
+          ok: false,
+          error: "Datos de pago inválidos",
+          code: "PAYOUT_METHOD_NOT_ALLOWED",
+          errors: {
+            banco: `Con tu nivel de verificación solo puedes recibir en: ${policy.bancos.join(", ")}.`,
+          },
+          reverificacion_requerida: isVerificationExpired(user),
+        });
+      }
+
+      // 🧾 La cotización fija montoWLD, montoCOP y ganancia_cop (no el cliente)
+      const quote = await redeemQuote(quoteId, { montoWLD });
+
+      let nueva;
+      let riesgo;
+      try {
+        // El spread cotizado debe ser el de esta identidad y su nivel actual
+        if (
+          (quote.nullifier && quote.nullifier !== nullifierStr) ||
+          (quote.verification_level || null) !== nivel
+        ) {
+          await releaseQuote(quote.quoteId);
+          return res.status(409).json({
+            ok: false,
+            error: "Tu nivel de verificación cambió. Solicita una nueva cotización.",
+            code: "QUOTE_LEVEL_MISMATCH",
+          });
+        }
+
+        // 🔒 Un candado por identidad: el uso que se revisa es el mismo que
+        // hay cuando se crea la orden (pedidos en paralelo van en serie)
+        const lockToken = await acquireLimitLock(nullifierStr);
+        try {
+          // 🔒 LÍMITES POR IDENTIDAD (por orden + topes diario/semanal/mensual)
+          const tier = await resolveTier(user?.tier || policy.tier);
+          const usage = await computeUsage(nullifierStr, ahoraColombia);
+          const violaciones = evaluateLimits(tier, usage, {
+            montoWLD: quote.montoWLD,
+            montoCOP: quote.montoCOP,
+          });
+
+          if (violaciones.length) {
+            await releaseQuote(quote.quoteId);
+            return res.status(429).json({
+              ok: false,
+              error:
+                "La orden supera los límites permitidos para tu cuenta. Revisa /api/user/limits.",
+              code: "LIMIT_EXCEEDED",
+              violaciones,
+            });
+          }
+
+          // ✅ Si pasa las validaciones, calculamos tiempos e inventario
+          const ahoraISO = ahoraColombia.toISOString();
+          const { fecha: inventarioFecha, version: horarioVersion } =
+            calcularInventarioFecha();
+          // Un día ya cerrado no recibe órdenes (los jobs no lo tocarían)
+          await assertInventoryDayOpen(inventarioFecha);
+
+          // 🚨 Riesgo en la creación (destino compartido, ráfagas, montos altos)
+          riesgo = await evaluateOrderRisk(
+            {
+              numero: destino.value.numero,
+              nullifier: nullifierStr,
+              montoWLD: quote.montoWLD,
+              creada_en: ahoraISO,
+            },
+            { fase: "creacion" }
+          );
+
+          const newId = await getNextOrderId();
+
+          nueva = await Order.create({
+            id: newId,
+            banco,
+            titular: destino.value.titular,
+            numero: destino.value.numero,
+            tipo_llave: destino.value.tipoLlave || null,
+            montoWLD: quote.montoWLD,
+            montoCOP: quote.montoCOP,
+            verified: true,
+            verification_level: verificacion.verification_level,
+            nullifier: nullifierStr,
+            wallet: req.wallet.address,
+            estado: "pendiente",
+            creada_en: ahoraISO,
+            actualizada_en: ahoraISO,
+            wld_tx_id: txHash,
+            inventario_fecha: inventarioFecha,
+            horario_version: horarioVersion,
+            ganancia_cop: quote.ganancia_cop,
+            riesgo: [riesgo],
+            quote: {
+              quoteId: quote.quoteId,
+              wld_cop_bruto: quote.wld_cop_bruto,
+              wld_cop_usuario: quote.wld_cop_usuario,
+              spread_percent: quote.spread_percent,
+              fuente: quote.fuente,
+              fecha_tasa: quote.fecha_tasa,
+              expira_en: quote.expira_en,
+            },
+            status_history: [
+              buildHistoryEntry({
+                at: ahoraISO,
+                from: null,
+                to: "pendiente",
+                actor: "user",
+              }),
+            ],
+          });
+        } finally {
+          await releaseLimitLock(nullifierStr, lockToken);
+        }
+      } catch (err) {
+        await releaseQuote(quote.quoteId).catch(() => {});
+        throw err;
+      }
+
+      await attachQuoteToOrder(quote.quoteId, nueva.id);
+      await emitOrderEvent("creada", nueva, nueva.status_history[0]);
+
+      // Alto riesgo: la orden queda retenida hasta que un admin la revise
+      if (riesgo.revisar) {
+        const entry = applyTransition(nueva, "en_revision", {
+          actor: "system:riskEngine",
+          reason: `Riesgo ${riesgo.score}: ${riesgo.reglas.map((r) => r.regla).join(", ")}`,
+        });
+        nueva.revision_estado_destino = "pendiente";
+        await nueva.save();
+        await emitOrderEvent("estado", nueva, entry);
+      }
+
+      res.json({ ok: true, orden: maskOrderPii(nueva) });
+    } catch (err) {
+      if (err instanceof QuoteError) {
+        return res
+          .status(err.status)
+          .json({ ok: false, error: err.message, code: err.code });
+      }
+      if (sendDomainError(res, err)) return;
+      if (err?.code === 11000 && err.keyPattern?.wld_tx_id) {
+        return res.status(409).json({
+          ok: false,
+          error: "Esa transacción ya está asociada a otra orden.",
+          code: "TX_ALREADY_USED",
+        });
+      }
+      console.error("❌ Error en POST /api/orders:", err);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
-});
+);
 
 // ==============================
-// 🛠 ADMIN — Listar órdenes (GET con JWT)
+// 📦 OBTENER ÓRDENES POR FECHA DE INVENTARIO
 // ==============================
-app.get(["/rs-admin", "/api/orders-admin"], async (req, res) => {
+app.get("/api/orders-por-dia", async (req, res) => {
   try {
+    // Es el inventario de todos los usuarios: solo admin
     if (!isAdminAuthenticated(req)) {
       return res
         .status(403)
         .json({ ok: false, error: "No autorizado (admin)" });
     }
 
-    const orders = await Order.find().sort({ id: -1 }).lean();
-    return res.json(orders);
+    const { fecha, incluirExpiradas } = req.query || {}; // esperado "YYYY-MM-DD"
+    if (!fecha) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parámetro 'fecha' es requerido (YYYY-MM-DD)",
+      });
+    }
+
+    const filtro = { inventario_fecha: fecha };
+    if (incluirExpiradas !== "1" && incluirExpiradas !== "true") {
+      filtro.estado = { $ne: "expirada" };
+    }
+
+    const orders = await Order.find(filtro).sort({ id: 1 }).lean();
+
+    return res.json({
+      ok: true,
+      fecha,
+      count: orders.length,
+      orders: orders.map(decryptOrderPii),
+    });
   } catch (err) {
-    console.error("❌ Error en GET /api/orders-admin:", err);
+    console.error("❌ Error en GET /api/orders-por-dia:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 // ==============================
-// 🛠 ADMIN — Cambiar estado de una orden
+// 🪝 WEBHOOKS: outbox + entrega en segundo plano
 // ==============================
-app.put("/api/orders/:id/estado", async (req, res) => {
+// Una pasada a la vez: si la anterior sigue entregando, el tick se salta
+let webhookWorkerBusy = false;
+let ultimoBarridoWebhooks = 0;
+const WEBHOOK_SWEEP_EVERY_MS = 5 * 60_000;
+
+async function runWebhookWorker() {
+  if (webhookWorkerBusy) return;
+  webhookWorkerBusy = true;
   try {
-    const estado = req.body.estado;
-
-    if (!isAdminAuthenticated(req)) {
-      return res
-        .status(403)
-        .json({ ok: false, error: "No autorizado (admin)" });
-    }
-
-    const validos = [
-      "pendiente",
-      "enviada",
-      "recibida_wld",
-      "pagada",
-      "rechazada",
-    ];
-    if (!validos.includes(estado)) {
-      return res.status(400).json({ ok: false, error: "Estado inválido" });
+    if (Date.now() - ultimoBarridoWebhooks >= WEBHOOK_SWEEP_EVERY_MS) {
+      ultimoBarridoWebhooks = Date.now();
+      await sweepOrderWebhooks();
     }
+    await deliverPendingWebhooks();
+  } finally {
+    webhookWorkerBusy = false;
+  }
+}
 
-    const id = Number(req.params.id);
-    const orden = await Order.findOne({ id });
+function startWebhookDelivery() {
+  console.log("🪝 Webhooks activos: entregando pendientes cada 15 segundos.");
 
-    if (!orden) {
-      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
-    }
+  setInterval(() => {
+    runWebhookWorker().catch((err) =>
+      console.error("❌ Error en deliverPendingWebhooks:", err)
+    );
+  }, 15_000);
+}
 
-    orden.estado = estado;
-    orden.actualizada_en = new Date().toISOString();
+// ==============================
+// 📡 STREAM DE ÓRDENES (SSE)
+// ==============================
+// Va antes de /api/orders/:id. EventSource no manda headers: con el token
+// normal se pide un ticket de un solo uso y el stream se abre con ?ticket=.
+// El stream se cierra cuando vence el token original (el cliente reconecta).
+app.post("/api/orders/stream/ticket", requireWalletAuth, (req, res) => {
+  const { address, sid, exp, variants, user } = req.wallet;
+  const { ticket, expira_en } = issueStreamTicket("wallet", {
+    address,
+    sid,
+    exp,
+    variants,
+    user: user ? { nullifier: user.nullifier || null } : null,
+  });
+  return res.json({ ok: true, ticket, expira_en });
+});
 
-    if (!Array.isArray(orden.status_history)) {
-      orden.status_history = [];
+app.get("/api/orders/stream", (req, res) => {
+  const wallet = redeemStreamTicket(req.query.ticket, "wallet");
+  if (!wallet) {
+    return res.status(401).json({
+      ok: false,
+      error: "Ticket de stream inválido o vencido",
+      code: "STREAM_TICKET_INVALID",
+    });
+  }
+
+  streamOrderEvents(req, res, {
+    filter: (event) => walletOwnsOrder(wallet, event.order),
+    project: (event) => ({
+      orderId: event.order.id,
+      tipo: event.tipo,
+      estado: event.estado,
+      from: event.from,
+      at: event.at,
+    }),
+    owner: `wallet:${wallet.address}`,
+    expiresAt: wallet.exp ? wallet.exp * 1000 : null,
+  });
+});
+
+app.post("/api/admin/orders/stream/ticket", (req, res) => {
+  const admin = getAdminPayload(req, "leer");
+  if (!admin) {
+    return res
+      .status(403)
+      .json({ ok: false, error: "No autorizado (admin)" });
+  }
+
+  const { ticket, expira_en } = issueStreamTicket("admin", {
+    sub: admin.sub,
+    role: admin.role,
+    exp: admin.exp,
+  });
+  return res.json({ ok: true, ticket, expira_en });
+});
+
+app.get("/api/admin/orders/stream", (req, res) => {
+  const admin = redeemStreamTicket(req.query.ticket, "admin");
+  if (!admin) {
+    return res.status(401).json({
+      ok: false,
+      error: "Ticket de stream inválido o vencido",
+      code: "STREAM_TICKET_INVALID",
+    });
+  }
+
+  // Sin Bearer en este request: la auditoría toma el actor del ticket
+  res.locals.audit = { actor: adminActor(admin), role: admin.role };
+
+  streamOrderEvents(req, res, {
+    owner: adminActor(admin),
+    filter: () => true,
+    project: (event) => ({
+      orderId: event.order.id,
+      tipo: event.tipo,
+      estado: event.estado,
+      from: event.from,
+      at: event.at,
+      actor: event.actor,
+      reason: event.reason,
+      wallet: event.order.wallet,
+      montoWLD: event.order.montoWLD,
+      montoCOP: event.order.montoCOP,
+      inventario_fecha: event.order.inventario_fecha,
+    }),
+    expiresAt: admin.exp * 1000,
+  });
+});
+
+// ==============================
+// 📦 OBTENER ORDEN POR ID
+// ==============================
+app.get("/api/orders/:id", requireWalletAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    // Una orden ajena responde igual que una inexistente (no se enumeran ids)
+    const orden = await Order.findOne({
+      id,
+      ...walletOrdersFilter(req.wallet),
+    }).lean();
+
+    if (!orden) {
+      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    }
+
+    res.json(maskOrderPii(orden));
+  } catch (err) {
+    console.error("❌ Error en GET /api/orders/:id:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🔗 REPORTAR (O CORREGIR) LA TX DE WLD DE UNA ORDEN
+// ==============================
+// Solo si la orden no tiene tx o la que tenía se descartó
+app.post("/api/orders/:id/tx", requireWalletAuth, async (req, res) => {
+  try {
+    const raw = req.body?.wld_tx_id;
+    const txHash = normalizeTxHash(raw);
+    if (!txHash) {
+      return res.status(400).json({
+        ok: false,
+        error: "wld_tx_id inválido (0x + 64 hex).",
+        code: "TX_HASH_INVALID",
+      });
+    }
+
+    const id = Number(req.params.id);
+    const orden = await Order.findOne({
+      id,
+      ...walletOrdersFilter(req.wallet),
+    }).lean();
+    if (!orden) {
+      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    }
+
+    if (!["pendiente", "enviada"].includes(orden.estado) || orden.wld_tx_id) {
+      return res.status(409).json({
+        ok: false,
+        error: "La orden ya tiene una transacción en revisión o no admite cambios.",
+        code: "TX_NOT_ALLOWED",
+      });
+    }
+
+    // Con el día cerrado checkPendingWldReceipts no revisaría la tx
+    await assertInventoryDayOpen(orden.inventario_fecha);
+
+    if (
+      (orden.wld_tx_descartadas || []).some((d) => d.tx === txHash) ||
+      (await txHashEnUso(txHash, { exceptId: id }))
+    ) {
+      return res.status(409).json({
+        ok: false,
+        error: "Esa transacción ya fue usada o descartada.",
+        code: "TX_ALREADY_USED",
+      });
+    }
+
+    const result = await Order.updateOne(
+      { id, estado: orden.estado, wld_tx_id: null },
+      { $set: { wld_tx_id: txHash, recibo_clasificacion: null } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(409).json({
+        ok: false,
+        error: "La orden cambió, intenta de nuevo.",
+        code: "TX_NOT_ALLOWED",
+      });
+    }
+
+    return res.json({ ok: true, id, wld_tx_id: txHash });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({
+        ok: false,
+        error: "Esa transacción ya está asociada a otra orden.",
+        code: "TX_ALREADY_USED",
+      });
+    }
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/orders/:id/tx:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 📦 OBTENER ÓRDENES POR WALLET (HISTORIAL)
+// ==============================
+app.get("/api/orders-by-wallet", requireWalletAuth, async (req, res) => {
+  try {
+    // La wallet es la de la sesión; ?wallet= solo se acepta si coincide
+    const { wallet } = req.query || {};
+    if (wallet && String(wallet).toLowerCase() !== req.wallet.address) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "Solo puedes ver tus propias órdenes" });
+    }
+
+    const orders = await Order.find(walletOrdersFilter(req.wallet))
+      .sort({ id: -1 })
+      .lean();
+
+    return res.json({
+      ok: true,
+      wallet: req.wallet.address,
+      count: orders.length,
+      orders: orders.map(maskOrderPii),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/orders-by-wallet:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 📦 OBTENER ÓRDENES POR NULLIFIER (historial del usuario)
+// ==============================
+app.get("/api/orders-by-nullifier", requireWalletAuth, async (req, res) => {
+  try {
+    const nullifierStr = requireLinkedNullifier(req, res);
+    if (!nullifierStr) return;
+
+    const { nullifier } = req.query || {};
+    if (nullifier && String(nullifier) !== nullifierStr) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "Solo puedes ver tus propias órdenes" });
+    }
+
+    const orders = await Order.find({ nullifier: nullifierStr })
+      .sort({ id: -1 })
+      .limit(50)
+      .lean();
+
+    return res.json({
+      ok: true,
+      orders: orders.map(maskOrderPii),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/orders-by-nullifier:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — Listar órdenes (POST /api/orders-admin)
+// ==============================
+app.post("/api/orders-admin", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res.status(403).json({ ok: false, error: "No autorizado" });
+    }
+
+    const orders = await Order.find().sort({ id: -1 }).lean();
+    return res.json(orders.map(decryptOrderPii));
+  } catch (err) {
+    console.error("Error en POST /api/orders-admin:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — Listar órdenes (GET con JWT)
+// ==============================
+app.get(["/rs-admin", "/api/orders-admin"], async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const orders = await Order.find().sort({ id: -1 }).lean();
+    return res.json(orders.map(decryptOrderPii));
+  } catch (err) {
+    console.error("❌ Error en GET /api/orders-admin:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — Órdenes expiradas (separadas del listado normal)
+// ==============================
+app.get("/api/admin/orders-expiradas", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const orders = await Order.find({ estado: "expirada" })
+      .sort({ id: -1 })
+      .lean();
+
+    return res.json({
+      ok: true,
+      count: orders.length,
+      orders: orders.map(decryptOrderPii),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/orders-expiradas:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — TTL de órdenes pendientes (minutos)
+// ==============================
+app.get("/api/admin/settings/pending-ttl", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    return res.json({ ok: true, ttlMin: await getPendingOrderTtlMin() });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/settings/pending-ttl:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.put("/api/admin/settings/pending-ttl", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const ttlMin = Number(req.body?.ttlMin);
+    if (!Number.isFinite(ttlMin) || ttlMin < 5 || ttlMin > 7 * 24 * 60) {
+      return res.status(400).json({
+        ok: false,
+        error: "ttlMin debe estar entre 5 y 10080 minutos.",
+      });
+    }
+
+    await setSetting(PENDING_ORDER_TTL_SETTING, ttlMin, adminActor(admin));
+
+    return res.json({ ok: true, ttlMin });
+  } catch (err) {
+    console.error("❌ Error en PUT /api/admin/settings/pending-ttl:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — Cambiar estado de una orden
+// ==============================
+app.put("/api/orders/:id/estado", async (req, res) => {
+  try {
+    const { estado, reason } = req.body || {};
+
+    const admin = getAdminPayload(req, "operar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    if (!isValidEstado(estado)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Estado inválido", validos: ESTADOS });
+    }
+
+    const id = Number(req.params.id);
+    const orden = await Order.findOne({ id });
+
+    if (!orden) {
+      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    }
+
+    await assertInventoryDayOpen(orden.inventario_fecha);
+
+    const antes = orderAuditSnapshot(orden);
+    const entry = applyTransition(orden, estado, { actor: adminActor(admin), reason });
+
+    await orden.save();
+    await emitOrderEvent("estado", orden, entry);
+    auditOrderChange(res, orden, antes, { reason });
+
+    res.json({ ok: true, orden: decryptOrderPii(orden) });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en PUT /api/orders/:id/estado:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — Recotizar COP con lo que realmente llegó (revision_monto)
+// ==============================
+app.post("/api/admin/orders/:id/recotizar", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "operar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const id = Number(req.params.id);
+    const orden = await Order.findOne({ id });
+
+    if (!orden) {
+      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    }
+
+    await assertInventoryDayOpen(orden.inventario_fecha);
+
+    if (orden.estado !== "revision_monto" || !(orden.wld_recibido > 0)) {
+      return res.status(409).json({
+        ok: false,
+        error: "Solo se recotizan órdenes en 'revision_monto' con WLD recibido.",
+      });
+    }
+
+    // Tasa bloqueada en la cotización original; si no hay, la tasa actual
+    let wldCopUsuario = orden.quote?.wld_cop_usuario;
+    let wldCopBruto = orden.quote?.wld_cop_bruto;
+    if (!Number.isFinite(wldCopUsuario) || !Number.isFinite(wldCopBruto)) {
+      const rate = await getCachedRate();
+      if (rate.stale) {
+        return res
+          .status(503)
+          .json({ ok: false, error: "Tasa no disponible en este momento." });
+      }
+      wldCopUsuario = rate.wld_cop_usuario;
+      wldCopBruto = rate.wld_cop_bruto;
+    }
+
+    const antes = orderAuditSnapshot(orden);
+    const recibido = orden.wld_recibido;
+    const montoCop = Number((recibido * wldCopUsuario).toFixed(2));
+    const actor = adminActor(admin);
+
+    orden.recotizacion = {
+      at: new Date().toISOString(),
+      actor,
+      montoWLD_original: orden.montoWLD,
+      montoCOP_original: orden.montoCOP,
+      wld_cop_usuario: wldCopUsuario,
+    };
+    orden.montoWLD = recibido;
+    orden.montoCOP = montoCop;
+    orden.ganancia_cop = Number((recibido * wldCopBruto - montoCop).toFixed(2));
+
+    const entry = applyTransition(orden, "recibida_wld", {
+      actor,
+      reason: `Recotizada con ${recibido} WLD recibidos`,
+    });
+
+    await orden.save();
+    await emitOrderEvent("estado", orden, entry);
+    auditOrderChange(res, orden, antes);
+
+    return res.json({ ok: true, orden: decryptOrderPii(orden) });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/admin/orders/:id/recotizar:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — Iniciar reembolso de una orden en revision_monto
+// ==============================
+app.post("/api/admin/orders/:id/iniciar-reembolso", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const id = Number(req.params.id);
+    const orden = await Order.findOne({ id });
+
+    if (!orden) {
+      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    }
+
+    await assertInventoryDayOpen(orden.inventario_fecha);
+
+    if (orden.estado !== "revision_monto") {
+      return res.status(409).json({
+        ok: false,
+        error: "Solo aplica a órdenes en 'revision_monto'.",
+      });
+    }
+
+    const antes = orderAuditSnapshot(orden);
+    const reason = req.body?.reason || "Monto recibido no coincide: reembolso";
+    const entry = applyTransition(orden, "rechazada", {
+      actor: adminActor(admin),
+      reason,
+    });
+    orden.reembolso_solicitado_en = entry.at;
+
+    await orden.save();
+    await emitOrderEvent("estado", orden, entry);
+    auditOrderChange(res, orden, antes, { reason });
+
+    return res.json({ ok: true, orden: decryptOrderPii(orden) });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/admin/orders/:id/iniciar-reembolso:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🛠 ADMIN — Reembolsar WLD de una orden rechazada
+// ==============================
+app.post("/api/admin/orders/:id/reembolso", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const id = Number(req.params.id);
+    const ord = await Order.findOne({ id }).lean();
+
+    if (!ord) {
+      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    }
+
+    await assertInventoryDayOpen(ord.inventario_fecha);
+
+    if (ord.estado !== "rechazada") {
+      return res.status(409).json({
+        ok: false,
+        error: "Solo se reembolsan órdenes en 'rechazada'.",
+      });
+    }
+
+    // Remitente y monto: los guardó el checker; si no, leemos el Transfer original
+    let to = ord.wld_remitente;
+    let amountWei = ord.wld_recibido_wei ? BigInt(ord.wld_recibido_wei) : 0n;
+
+    if (!to || amountWei <= 0n) {
+      const info = ord.wld_tx_id
+        ? await getWldTransferInfo(ord.wld_tx_id)
+        : null;
+
+      if (
+        !info ||
+        info.status !== "confirmed" ||
+        String(info.to).toLowerCase() !== WALLET_DESTINO.toLowerCase()
+      ) {
+        return res.status(409).json({
+          ok: false,
+          error: "No hay un Transfer de WLD recibido que se pueda reembolsar.",
+        });
+      }
+
+      to = info.from;
+      amountWei = info.valueWei;
+    }
+
+    const actor = adminActor(admin);
+    const montoWld = Number(ethers.formatUnits(amountWei, 18));
+
+    // Bloqueamos la orden antes de firmar para no reembolsar dos veces
+    const lock = buildTransitionUpdate(ord, "reembolso_pendiente", {
+      actor,
+      reason: req.body?.reason,
+      set: {
+        reembolso: {
+          to,
+          monto_wei: amountWei.toString(),
+          monto_wld: montoWld,
+        },
+      },
+    });
+
+    const locked = await Order.updateOne(lock.filter, lock.update);
+    if (!locked.modifiedCount) {
+      return res.status(409).json({
+        ok: false,
+        error: "La orden cambió de estado, intenta de nuevo.",
+      });
+    }
+    await emitOrderEvent("estado", ord, lock.entry);
+
+    let sent;
+    try {
+      sent = await sendWldRefund({
+        provider: worldchainProvider,
+        tokenAddress: WLD_TOKEN_ADDRESS,
+        to,
+        amountWei,
+      });
+    } catch (err) {
+      console.error(`❌ Error enviando reembolso de orden #${id}:`, err.message);
+
+      // Sin certeza de que no salió, la orden sigue bloqueada en
+      // reembolso_pendiente: volver a rechazada permitiría reembolsar dos veces.
+      // Con tx_hash la sigue checkPendingRefunds; si no, la resuelve un admin.
+      if (!(err instanceof RefundSendError) || err.enviada !== false) {
+        const set = { "reembolso.error": err.message };
+        if (err.txHash) {
+          set["reembolso.tx_hash"] = err.txHash;
+          set["reembolso.desde"] = err.from;
+          set["reembolso.enviado_en"] = new Date().toISOString();
+        }
+        await Order.updateOne({ id, estado: "reembolso_pendiente" }, { $set: set });
+        res.locals.audit = {
+          orderId: id,
+          detalle: { error: err.message, tx_hash: err.txHash || null },
+        };
+
+        return res.status(502).json({
+          ok: false,
+          code: "REFUND_UNCERTAIN",
+          error:
+            "No se pudo confirmar el envío del reembolso: la orden queda en 'reembolso_pendiente'. Revisa la tx antes de reintentar.",
+          detail: err.message,
+          tx_hash: err.txHash || null,
+        });
+      }
+
+      const revert = buildTransitionUpdate(
+        { id, estado: "reembolso_pendiente" },
+        "rechazada",
+        {
+          actor,
+          reason: "No se pudo enviar el reembolso",
+          set: { "reembolso.error": err.message },
+        }
+      );
+      const reverted = await Order.updateOne(revert.filter, revert.update);
+      if (reverted.modifiedCount) await emitOrderEvent("estado", ord, revert.entry);
+      res.locals.audit = { orderId: id, detalle: { error: err.message } };
+
+      return res.status(502).json({
+        ok: false,
+        error: "No se pudo enviar el reembolso",
+        detail: err.message,
+      });
+    }
+
+    const orden = await Order.findOneAndUpdate(
+      { id },
+      {
+        $set: {
+          "reembolso.tx_hash": sent.txHash,
+          "reembolso.desde": sent.from,
+          "reembolso.enviado_en": new Date().toISOString(),
+        },
+      },
+      { new: true }
+    ).lean();
+
+    console.log(`💸 Reembolso de orden #${id} enviado (tx ${sent.txHash})`);
+    auditOrderChange(res, orden, orderAuditSnapshot(ord));
+
+    return res.json({ ok: true, orden: decryptOrderPii(orden) });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/admin/orders/:id/reembolso:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🏦 ADMIN — Lotes de pago COP (Nequi / Llave Bre-B)
+// ==============================
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+app.post("/api/admin/payout-batches", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "operar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const fecha = String(req.body?.fecha || "");
+    if (!FECHA_RE.test(fecha)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parámetro 'fecha' es requerido (YYYY-MM-DD)",
+      });
+    }
+
+    await assertInventoryDayOpen(fecha);
+
+    const batchId = `PB-${fecha.replace(/-/g, "")}-${crypto
+      .randomBytes(3)
+      .toString("hex")}`;
+
+    // Bloqueo atómico: solo entran órdenes que no estén ya en otro lote
+    const lock = await Order.updateMany(
+      { inventario_fecha: fecha, estado: "recibida_wld", payout_batch_id: null },
+      { $set: { payout_batch_id: batchId } }
+    );
+
+    if (!lock.modifiedCount) {
+      return res.status(404).json({
+        ok: false,
+        error: "No hay órdenes 'recibida_wld' pendientes de lote para esa fecha.",
+      });
+    }
+
+    const orders = await Order.find({ payout_batch_id: batchId })
+      .sort({ id: 1 })
+      .lean();
+
+    const { totales, por_banco } = summarizePayout(orders);
+
+    const batch = await PayoutBatch.create({
+      batchId,
+      inventario_fecha: fecha,
+      order_ids: orders.map((o) => o.id),
+      totales,
+      por_banco,
+      creado_por: adminActor(admin),
+    });
+
+    return res.json({
+      ok: true,
+      batchId: batch.batchId,
+      fecha,
+      totales,
+      por_banco,
+    });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/admin/payout-batches:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/admin/payout-batches", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const filtro = {};
+    if (req.query.fecha) filtro.inventario_fecha = String(req.query.fecha);
+
+    const batches = await PayoutBatch.find(filtro)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.json({ ok: true, count: batches.length, batches });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/payout-batches:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/admin/payout-batches/:batchId/csv", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const batch = await PayoutBatch.findOne({
+      batchId: req.params.batchId,
+    }).lean();
+
+    if (!batch || batch.estado !== "abierto") {
+      return res.status(404).json({ ok: false, error: "Lote no encontrado" });
+    }
+
+    const banco = String(req.query.banco || "");
+    if (!hasPayoutFormat(banco)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parámetro 'banco' inválido",
+        bancos: batch.por_banco.map((b) => b.banco),
+      });
+    }
+
+    // Solo lo que sigue por pagar: las ya pagadas o rechazadas no se exportan
+    const orders = await Order.find({
+      payout_batch_id: batch.batchId,
+      banco,
+      estado: "recibida_wld",
+    })
+      .sort({ id: 1 })
+      .lean();
+
+    const csv = buildPayoutCsv(banco, orders.map(decryptOrderPii));
+    const fileName = `${batch.batchId}-${banco.replace(/\W+/g, "_")}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.send(csv);
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/payout-batches/:batchId/csv:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Anular un lote libera las órdenes que aún no se pagaron
+app.post("/api/admin/payout-batches/:batchId/anular", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "operar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const abierto = await PayoutBatch.findOne({
+      batchId: req.params.batchId,
+      estado: "abierto",
+    }).lean();
+
+    if (!abierto) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Lote no encontrado o ya anulado" });
+    }
+
+    await assertInventoryDayOpen(abierto.inventario_fecha);
+
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { batchId: abierto.batchId, estado: "abierto" },
+      { $set: { estado: "anulado", anulado_por: adminActor(admin) } },
+      { new: true }
+    ).lean();
+
+    if (!batch) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Lote no encontrado o ya anulado" });
+    }
+
+    const released = await Order.updateMany(
+      { payout_batch_id: batch.batchId, estado: "recibida_wld" },
+      { $set: { payout_batch_id: null } }
+    );
+
+    return res.json({
+      ok: true,
+      batchId: batch.batchId,
+      liberadas: released.modifiedCount,
+    });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/admin/payout-batches/:batchId/anular:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🧮 ADMIN — Conciliar extracto bancario / Nequi (CSV)
+// Body: text/csv, o JSON { csv }. ?dryRun=1 solo devuelve el reporte.
+// ==============================
+app.post(
+  "/api/admin/conciliacion",
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      const admin = getAdminPayload(req, "operar");
+      if (!admin) {
+        return res
+          .status(403)
+          .json({ ok: false, error: "No autorizado (admin)" });
+      }
+
+      const csvText = typeof req.body === "string" ? req.body : req.body?.csv;
+      if (!csvText) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "Falta el CSV del extracto" });
+      }
+
+      const rows = normalizeStatementRows(parseCsv(csvText));
+      const fechas = rows.map((r) => r.fecha).filter(Boolean).sort();
+      if (!fechas.length) {
+        return res.status(400).json({
+          ok: false,
+          error: "El extracto no tiene filas con fecha reconocible",
+        });
+      }
+
+      const maxDays = 3;
+      const desde = new Date(`${fechas[0]}T00:00:00Z`);
+      desde.setUTCDate(desde.getUTCDate() - maxDays);
+
+      // Candidatas: recibidas sin pagar cuyo inventario cae en la ventana del extracto
+      const orders = (
+        await Order.find({
+          estado: "recibida_wld",
+          inventario_fecha: {
+            $gte: desde.toISOString().slice(0, 10),
+            $lte: fechas[fechas.length - 1],
+          },
+        })
+          .sort({ id: 1 })
+          .lean()
+      ).map(decryptOrderPii);
+
+      const { matches, unmatchedRows, unmatchedOrders } = matchStatement(
+        rows,
+        orders,
+        { maxDays }
+      );
+
+      const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+      const actor = adminActor(admin);
+      const conciliadas = [];
+      const nowIso = new Date().toISOString();
+      const diasCerrados = await getClosedInventoryDays(
+        matches.map((m) => m.order.inventario_fecha)
+      );
+
+      for (const { row, order } of matches) {
+        if (diasCerrados.has(order.inventario_fecha)) {
+          unmatchedRows.push({
+            ...row,
+            motivo: `Inventario del ${order.inventario_fecha} cerrado`,
+          });
+          continue;
+        }
+
+        if (dryRun) {
+          conciliadas.push({ id: order.id, fila: row.fila });
+          continue;
+        }
+
+        const { filter, update, entry } = buildTransitionUpdate(order, "pagada", {
+          actor,
+          reason: `Conciliada con extracto (fila ${row.fila})`,
+          set: {
+            pago_referencia: row.referencia || `fila ${row.fila}`,
+            pago_conciliado_en: nowIso,
+          },
+        });
+
+        const result = await Order.updateOne(filter, update);
+        if (result.modifiedCount) {
+          await emitOrderEvent("estado", order, entry);
+          conciliadas.push({ id: order.id, fila: row.fila });
+        } else {
+          unmatchedRows.push({ ...row, motivo: "La orden cambió de estado" });
+        }
+      }
+
+      return res.json({
+        ok: true,
+        dryRun,
+        filas: rows.length,
+        conciliadas,
+        filas_sin_orden: unmatchedRows,
+        ordenes_sin_pago: unmatchedOrders.map((o) => ({
+          id: o.id,
+          banco: o.banco,
+          numero: o.numero,
+          montoCOP: o.montoCOP,
+          inventario_fecha: o.inventario_fecha,
+        })),
+      });
+    } catch (err) {
+      console.error("❌ Error en POST /api/admin/conciliacion:", err);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ==============================
+// 📒 ADMIN — Cierre diario de inventario
+// ==============================
+app.get("/api/admin/inventario/:fecha/cierre", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { fecha } = req.params;
+    const cierres = await listInventoryCloses(fecha);
+    const vigente = cierres[0] && !cierres[0].reabierto_en ? cierres[0] : null;
+
+    return res.json({ ok: true, fecha, cerrado: Boolean(vigente), cierres });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/inventario/:fecha/cierre:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post("/api/admin/inventario/:fecha/cierre", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { fecha } = req.params;
+    if (!FECHA_RE.test(fecha)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Fecha inválida (YYYY-MM-DD)" });
+    }
+
+    const cierre = await closeInventoryDay(fecha, { actor: adminActor(admin) });
+
+    console.log(`📒 Inventario ${fecha} cerrado (v${cierre.version})`);
+
+    return res.json({ ok: true, cierre });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/admin/inventario/:fecha/cierre:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Reabrir un día cerrado (supervisor) con motivo obligatorio
+app.post("/api/admin/inventario/:fecha/reapertura", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "La reapertura requiere un motivo (reason)." });
+    }
+
+    const { fecha } = req.params;
+    const cierre = await reopenInventoryDay(fecha, {
+      actor: adminActor(admin),
+      reason,
+    });
+
+    if (!cierre) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "El inventario de ese día no está cerrado." });
+    }
+
+    console.log(`📒 Inventario ${fecha} reabierto: ${reason}`);
+
+    return res.json({ ok: true, cierre });
+  } catch (err) {
+    console.error("❌ Error en POST /api/admin/inventario/:fecha/reapertura:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 📅 ADMIN — Festivos y cierres extraordinarios
+// ==============================
+async function refreshExtraClosures() {
+  const dias = await NonWorkingDay.find().lean();
+  setExtraClosures(dias.map((d) => d.fecha));
+}
+
+app.get("/api/admin/dias-no-laborables", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const anio = Number(req.query.anio || getColombiaNow().getUTCFullYear());
+    if (!Number.isInteger(anio) || anio < 1900 || anio > 2200) {
+      return res.status(400).json({ ok: false, error: "Año inválido" });
+    }
+
+    const cierres = await NonWorkingDay.find({
+      fecha: { $gte: `${anio}-01-01`, $lte: `${anio}-12-31` },
+    })
+      .sort({ fecha: 1 })
+      .lean();
+
+    return res.json({
+      ok: true,
+      anio,
+      festivos: getColombianHolidays(anio),
+      cierres,
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/dias-no-laborables:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post("/api/admin/dias-no-laborables", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const fecha = String(req.body?.fecha || "");
+    const motivo = String(req.body?.motivo || "").trim();
+    if (!FECHA_RE.test(fecha) || !motivo) {
+      return res.status(400).json({
+        ok: false,
+        error: "Se requieren 'fecha' (YYYY-MM-DD) y 'motivo'.",
+      });
+    }
+
+    const cierre = await NonWorkingDay.findOneAndUpdate(
+      { fecha },
+      { $set: { motivo, creado_por: adminActor(admin) } },
+      { new: true, upsert: true }
+    ).lean();
+
+    await refreshExtraClosures();
+
+    return res.json({ ok: true, cierre });
+  } catch (err) {
+    console.error("❌ Error en POST /api/admin/dias-no-laborables:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/api/admin/dias-no-laborables/:fecha", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "supervisar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const result = await NonWorkingDay.deleteOne({ fecha: req.params.fecha });
+    if (!result.deletedCount) {
+      return res.status(404).json({ ok: false, error: "Cierre no encontrado" });
+    }
+
+    await refreshExtraClosures();
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Error en DELETE /api/admin/dias-no-laborables/:fecha:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🕒 Horario de atención versionado
+// ==============================
+async function refreshSchedules() {
+  const versiones = await BusinessSchedule.find().lean();
+  setSchedules(versiones);
+}
+
+// Público: ¿se están procesando órdenes ahora? ¿cuándo abre?
+app.get("/api/horario", (_, res) => {
+  try {
+    return res.json({ ok: true, ...getBusinessStatus() });
+  } catch (err) {
+    console.error("❌ Error en GET /api/horario:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/admin/horarios", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const versiones = await BusinessSchedule.find()
+      .sort({ version: -1 })
+      .lean();
+
+    return res.json({
+      ok: true,
+      vigente: getBusinessStatus().horario_version,
+      versiones,
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/horarios:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Crea una versión nueva; no se editan versiones ni se fechan en el pasado
+app.post("/api/admin/horarios", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { dias, vigente_desde, utc_offset_min, nota } = req.body || {};
+
+    const errors = validateScheduleDays(dias) || {};
+    const vigenteDesde = vigente_desde ? new Date(vigente_desde) : new Date();
+    if (Number.isNaN(vigenteDesde.getTime())) {
+      errors.vigente_desde = "Fecha inválida.";
+    } else if (vigenteDesde.getTime() < Date.now() - 60_000) {
+      errors.vigente_desde = "No puede ser una fecha pasada.";
+    }
+    const offset = utc_offset_min === undefined ? -300 : Number(utc_offset_min);
+    if (!Number.isInteger(offset) || offset < -720 || offset > 840) {
+      errors.utc_offset_min = "Offset inválido (minutos respecto a UTC).";
+    }
+
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Horario inválido", errors });
+    }
+
+    const ultima = await BusinessSchedule.findOne().sort({ version: -1 }).lean();
+
+    const horario = await BusinessSchedule.create({
+      version: (ultima?.version || 0) + 1,
+      vigente_desde: vigenteDesde,
+      utc_offset_min: offset,
+      dias: [...dias].sort((x, y) => x.dia - y.dia),
+      nota,
+      creado_por: adminActor(admin),
+    });
+
+    await refreshSchedules();
+
+    return res.json({ ok: true, horario });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "Otra versión se creó al tiempo, reintenta." });
+    }
+    console.error("❌ Error en POST /api/admin/horarios:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Solo se pueden borrar versiones que aún no han entrado en vigencia
+app.delete("/api/admin/horarios/:version", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "supervisar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const result = await BusinessSchedule.deleteOne({
+      version: Number(req.params.version),
+      vigente_desde: { $gt: new Date() },
+    });
+
+    if (!result.deletedCount) {
+      return res.status(404).json({
+        ok: false,
+        error: "Versión no encontrada o ya vigente (no se puede borrar).",
+      });
+    }
+
+    await refreshSchedules();
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Error en DELETE /api/admin/horarios/:version:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Carga cierres extraordinarios y horarios para calcularInventarioFecha
+refreshExtraClosures().catch((err) =>
+  console.error("❌ Error cargando cierres extraordinarios:", err.message)
+);
+refreshSchedules().catch((err) =>
+  console.error("❌ Error cargando horarios:", err.message)
+);
+
+// Primer admin (solo si aún no hay cuentas)
+bootstrapAdminFromEnv().catch((err) =>
+  console.error("❌ Error creando el admin inicial:", err.message)
+);
+
+// ==============================
+// 📊 ADMIN — Analítica de volumen y ganancia
+// GET /api/admin/analytics?desde=YYYY-MM-DD&hasta=YYYY-MM-DD&agrupar=dia&format=csv
+// ==============================
+app.get("/api/admin/analytics", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    // Por defecto: últimos 30 días de inventario
+    const hoy = getColombiaNow();
+    const hace30 = new Date(hoy);
+    hace30.setUTCDate(hace30.getUTCDate() - 30);
+
+    const desde = String(req.query.desde || hace30.toISOString().slice(0, 10));
+    const hasta = String(req.query.hasta || hoy.toISOString().slice(0, 10));
+    const agrupar = String(req.query.agrupar || "dia");
+
+    if (!FECHA_RE.test(desde) || !FECHA_RE.test(hasta) || desde > hasta) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Rango de fechas inválido (YYYY-MM-DD)" });
+    }
+    if (!AGRUPACIONES.includes(agrupar)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parámetro 'agrupar' inválido",
+        validos: AGRUPACIONES,
+      });
+    }
+
+    const rows = await getOrderAnalytics({
+      desde,
+      hasta,
+      agrupar,
+      utcOffsetMin: getScheduleAt().utc_offset_min,
+    });
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="analytics-${agrupar}-${desde}-${hasta}.csv"`
+      );
+      return res.send(analyticsToCsv(rows));
+    }
+
+    return res.json({ ok: true, desde, hasta, agrupar, rows });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/analytics:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🔒 ADMIN — Niveles de límites y asignación a usuarios
+// ==============================
+app.get("/api/admin/limit-tiers", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const tiers = await LimitTier.find().sort({ nombre: 1 }).lean();
+    return res.json({ ok: true, tiers, porDefecto: await resolveTier() });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/limit-tiers:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.put("/api/admin/limit-tiers/:nombre", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { descripcion, max_por_orden_wld, diario, semanal, mensual } =
+      req.body || {};
+
+    // null o ausente = sin límite; si viene, debe ser un número >= 0
+    const errors = {};
+    const checkLimit = (campo, value) => {
+      if (value === null || value === undefined) return;
+      if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+        errors[campo] = "Debe ser un número >= 0 o null.";
+      }
+    };
+    checkLimit("max_por_orden_wld", max_por_orden_wld);
+    for (const [periodo, valores] of Object.entries({ diario, semanal, mensual })) {
+      for (const metrica of ["wld", "cop", "ordenes"]) {
+        checkLimit(`${periodo}.${metrica}`, valores?.[metrica]);
+      }
+    }
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Límites inválidos", errors });
+    }
+
+    const tier = await LimitTier.findOneAndUpdate(
+      { nombre: req.params.nombre },
+      {
+        $set: {
+          descripcion,
+          max_por_orden_wld: max_por_orden_wld ?? null,
+          diario: diario || {},
+          semanal: semanal || {},
+          mensual: mensual || {},
+          actualizado_por: adminActor(admin),
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    return res.json({ ok: true, tier });
+  } catch (err) {
+    console.error("❌ Error en PUT /api/admin/limit-tiers/:nombre:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.put("/api/admin/users/:nullifier/tier", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "supervisar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const tierName = req.body?.tier || null;
+    if (tierName && !(await LimitTier.exists({ nombre: tierName }))) {
+      return res.status(404).json({ ok: false, error: "Nivel no encontrado" });
+    }
+
+    // upsert: se puede asignar nivel antes de que el usuario vincule wallet
+    const user = await User.findOneAndUpdate(
+      { nullifier: String(req.params.nullifier) },
+      { $set: { tier: tierName } },
+      { new: true, upsert: true }
+    ).lean();
+
+    return res.json({ ok: true, nullifier: user.nullifier, tier: user.tier });
+  } catch (err) {
+    console.error("❌ Error en PUT /api/admin/users/:nullifier/tier:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🪪 ADMIN — Niveles de verificación (World ID) por usuario
+// ==============================
+function userVerificationView(user, policies) {
+  const nivel = effectiveLevel(user);
+  const policy = policies[nivel] || policies[NIVELES_VERIFICACION[0]];
+  return {
+    nullifier: user.nullifier,
+    walletAddress: user.walletAddress || null,
+    verificationLevel: user.verificationLevel || null,
+    lastVerifiedAt: user.lastVerifiedAt || null,
+    nivel_vigente: nivel,
+    reverificacion_requerida: isVerificationExpired(user),
+    tier_asignado: user.tier || null,
+    tier_efectivo: user.tier || policy.tier || defaultTierName(),
+    bancos: policy.bancos || listPayoutMethods(),
+  };
+}
+
+app.get("/api/admin/users", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filtro = {};
+    if (req.query.nivel) filtro.verificationLevel = String(req.query.nivel);
+    if (req.query.wallet) {
+      filtro.walletAddress = { $in: walletVariants(String(req.query.wallet)) };
+    }
+
+    const [total, users, policies] = await Promise.all([
+      User.countDocuments(filtro),
+      User.find(filtro)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      getLevelPolicies(),
+    ]);
+
+    return res.json({
+      ok: true,
+      total,
+      page,
+      limit,
+      users: users.map((u) => userVerificationView(u, policies)),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/users:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/admin/users/:nullifier", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const user = await User.findOne({
+      nullifier: String(req.params.nullifier),
+    }).lean();
+    if (!user) {
+      return res.status(404).json({ ok: false, error: "Usuario no encontrado" });
+    }
+
+    return res.json({
+      ok: true,
+      user: userVerificationView(user, await getLevelPolicies()),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/users/:nullifier:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/admin/settings/verification-levels", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    return res.json({
+      ok: true,
+      niveles: NIVELES_VERIFICACION,
+      politicas: await getLevelPolicies(),
+      reverificar_dias: Number(process.env.WORLD_ID_REVERIFY_DAYS || 90),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/settings/verification-levels:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.put("/api/admin/settings/verification-levels", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { policies, error } = validateLevelPolicies(req.body?.politicas, {
+      bancosValidos: listPayoutMethods(),
+      tiersValidos: await LimitTier.distinct("nombre"),
+    });
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    // Se guarda completa: los niveles que no vengan vuelven al valor por defecto
+    await setSetting(LEVEL_POLICY_SETTING, policies, adminActor(admin));
+
+    return res.json({ ok: true, politicas: await getLevelPolicies() });
+  } catch (err) {
+    console.error("❌ Error en PUT /api/admin/settings/verification-levels:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🚨 ADMIN — Cola de revisión por riesgo
+// ==============================
+app.get("/api/admin/revisiones", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const orders = await Order.find({ estado: "en_revision" })
+      .sort({ id: 1 })
+      .lean();
+
+    return res.json({
+      ok: true,
+      count: orders.length,
+      orders: orders.map(decryptOrderPii),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/revisiones:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post("/api/admin/revisiones/:id/:decision", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "operar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { decision } = req.params;
+    if (decision !== "aprobar" && decision !== "rechazar") {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Decisión inválida (aprobar | rechazar)" });
+    }
+
+    const id = Number(req.params.id);
+    const orden = await Order.findOne({ id });
+
+    if (!orden) {
+      return res.status(404).json({ ok: false, error: "Orden no encontrada" });
+    }
+
+    if (orden.estado !== "en_revision") {
+      return res
+        .status(409)
+        .json({ ok: false, error: "La orden no está en revisión." });
+    }
+
+    await assertInventoryDayOpen(orden.inventario_fecha);
+
+    const antes = orderAuditSnapshot(orden);
+    const destino =
+      decision === "aprobar"
+        ? orden.revision_estado_destino || "pendiente"
+        : "rechazada";
+
+    const entry = applyTransition(orden, destino, {
+      actor: adminActor(admin),
+      reason:
+        req.body?.reason ||
+        (decision === "aprobar" ? "Revisión de riesgo aprobada" : undefined),
+    });
+    orden.revision_estado_destino = undefined;
+
+    // Vuelve a pendiente tras un recibo que no sirvió: se descarta esa tx
+    // para que el usuario reporte la correcta (o la orden expire)
+    if (destino === "pendiente" && orden.recibo_clasificacion) {
+      orden.wld_tx_descartadas.push({
+        tx: orden.wld_tx_id,
+        motivo: orden.recibo_clasificacion,
+        detalle: `Revisión aprobada por ${adminActor(admin)}`,
+        at: entry.at,
+      });
+      orden.wld_tx_id = null;
+      orden.recibo_clasificacion = null;
+    }
+
+    await orden.save();
+    await emitOrderEvent("estado", orden, entry);
+    auditOrderChange(res, orden, antes, { decision });
+
+    return res.json({ ok: true, orden: decryptOrderPii(orden) });
+  } catch (err) {
+    if (sendDomainError(res, err)) return;
+    console.error("❌ Error en POST /api/admin/revisiones/:id/:decision:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// ⛔ ADMIN — Lista de bloqueo (nullifier / wallet / cuenta)
+// ==============================
+app.get("/api/admin/blocklist", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
     }
-    orden.status_history.push({ at: new Date().toISOString(), to: estado });
 
-    await orden.save();
+    const filtro = {};
+    if (req.query.tipo) filtro.tipo = String(req.query.tipo);
+    if (req.query.activos === "1" || req.query.activos === "true") {
+      filtro.$or = [{ expira_en: null }, { expira_en: { $gt: new Date() } }];
+    }
+
+    const entries = await BlocklistEntry.find(filtro)
+      .sort({ createdAt: -1 })
+      .lean();
 
-    res.json({ ok: true, orden });
+    return res.json({ ok: true, count: entries.length, entries });
   } catch (err) {
-    console.error("❌ Error en PUT /api/orders/:id/estado:", err);
-    res.status(500).json({ ok: false, error: err.message });
+    console.error("❌ Error en GET /api/admin/blocklist:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Valida motivo / expira_en comunes a crear y editar
+function parseBlocklistFields(body, { parcial = false } = {}) {
+  const errors = {};
+  const fields = {};
+
+  if (!parcial || body.motivo !== undefined) {
+    const motivo = String(body.motivo || "").trim();
+    if (!motivo) errors.motivo = "El motivo es obligatorio.";
+    fields.motivo = motivo;
+  }
+
+  if (body.expira_en !== undefined) {
+    if (body.expira_en === null) {
+      fields.expira_en = null;
+    } else {
+      const expira = new Date(body.expira_en);
+      if (Number.isNaN(expira.getTime())) {
+        errors.expira_en = "Fecha inválida.";
+      }
+      fields.expira_en = expira;
+    }
+  }
+
+  return { fields, errors };
+}
+
+app.post("/api/admin/blocklist", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const body = req.body || {};
+    const { fields, errors } = parseBlocklistFields(body);
+
+    if (!TIPOS_BLOQUEO.includes(body.tipo)) {
+      errors.tipo = `Debe ser uno de: ${TIPOS_BLOQUEO.join(", ")}.`;
+    }
+    const valor = normalizeBlockValue(body.tipo, body.valor);
+    if (!valor) errors.valor = "El valor es obligatorio.";
+
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Entrada inválida", errors });
+    }
+
+    const entry = await BlocklistEntry.create({
+      tipo: body.tipo,
+      valor,
+      ...fields,
+      creado_por: adminActor(admin),
+    });
+
+    return res.json({ ok: true, entry });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "Ese valor ya está en la lista de bloqueo." });
+    }
+    console.error("❌ Error en POST /api/admin/blocklist:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.put("/api/admin/blocklist/:entryId", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.entryId)) {
+      return res.status(404).json({ ok: false, error: "Entrada no encontrada" });
+    }
+
+    const { fields, errors } = parseBlocklistFields(req.body || {}, {
+      parcial: true,
+    });
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Entrada inválida", errors });
+    }
+
+    const entry = await BlocklistEntry.findByIdAndUpdate(
+      req.params.entryId,
+      { $set: { ...fields, actualizado_por: adminActor(admin) } },
+      { new: true }
+    ).lean();
+
+    if (!entry) {
+      return res.status(404).json({ ok: false, error: "Entrada no encontrada" });
+    }
+
+    return res.json({ ok: true, entry });
+  } catch (err) {
+    console.error("❌ Error en PUT /api/admin/blocklist/:entryId:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/api/admin/blocklist/:entryId", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "supervisar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.entryId)) {
+      return res.status(404).json({ ok: false, error: "Entrada no encontrada" });
+    }
+
+    const result = await BlocklistEntry.deleteOne({ _id: req.params.entryId });
+    if (!result.deletedCount) {
+      return res.status(404).json({ ok: false, error: "Entrada no encontrada" });
+    }
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Error en DELETE /api/admin/blocklist/:entryId:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🔐 ADMIN — Rotar la llave de cifrado de datos de pago
+// ==============================
+// Re-cifra con la llave activa (la primera de PII_ENCRYPTION_KEYS) las órdenes
+// cifradas con otra versión o aún en texto plano. Va por lotes: repetir hasta
+// que 'pendientes' sea 0 y solo entonces quitar la llave vieja del config.
+app.post("/api/admin/pii/rotar", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const limite = Math.min(Number(req.query.limite) || 500, 5000);
+    const version = activeKeyVersion();
+    // Solo por versión: una orden sin numero queda con numero_hash null para
+    // siempre y no debe volver a entrar en cada lote
+    const filtro = { pii_key_version: { $ne: version } };
+
+    const orders = await Order.find(filtro).sort({ id: 1 }).limit(limite).lean();
+
+    let procesadas = 0;
+    for (const o of orders) {
+      const plain = decryptOrderPii(o);
+      // Condición sobre el valor leído: si otro proceso la tocó, se salta
+      const result = await Order.updateOne(
+        { id: o.id, numero: o.numero, titular: o.titular },
+        {
+          $set: {
+            titular: encryptPii(plain.titular),
+            numero: encryptPii(plain.numero),
+            numero_hash: blindIndex(plain.numero),
+            pii_key_version: version,
+          },
+        }
+      );
+      procesadas += result.modifiedCount;
+    }
+
+    const pendientes = await Order.countDocuments(filtro);
+
+    console.log(
+      `🔐 Rotación PII a '${version}' por ${adminActor(admin)}: ${procesadas} órdenes, ${pendientes} pendientes`
+    );
+
+    return res.json({ ok: true, version, procesadas, pendientes });
+  } catch (err) {
+    console.error("❌ Error en POST /api/admin/pii/rotar:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 👛 ADMIN — Revocar todas las sesiones de una wallet
+// ==============================
+app.post("/api/admin/wallets/:wallet/revocar-sesiones", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const wallet = String(req.params.wallet || "");
+    if (!ethers.isAddress(wallet)) {
+      return res.status(400).json({ ok: false, error: "Wallet inválida" });
+    }
+
+    const revocadas = await revokeWalletSessions(wallet, {
+      actor: adminActor(admin),
+    });
+
+    return res.json({ ok: true, wallet: wallet.toLowerCase(), revocadas });
+  } catch (err) {
+    console.error(
+      "❌ Error en POST /api/admin/wallets/:wallet/revocar-sesiones:",
+      err
+    );
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🧾 ADMIN — Bitácora de auditoría (auditor / supervisor)
+// GET /api/admin/auditoria?actor=&accion=&order_id=&desde=&hasta=&page=1&limit=50
+// ==============================
+app.get("/api/admin/auditoria", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "auditar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { actor, accion, order_id, desde, hasta } = req.query || {};
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      200,
+      Math.max(1, Number.parseInt(req.query.limit, 10) || 50)
+    );
+
+    // Fechas sueltas (YYYY-MM-DD) cubren el día completo en UTC
+    const hastaIso =
+      hasta && FECHA_RE.test(String(hasta))
+        ? `${hasta}T23:59:59.999Z`
+        : hasta;
+
+    const result = await queryAudit({
+      actor: actor ? String(actor) : undefined,
+      accion: accion ? String(accion) : undefined,
+      orderId: order_id !== undefined ? Number(order_id) : undefined,
+      desde: desde ? String(desde) : undefined,
+      hasta: hastaIso ? String(hastaIso) : undefined,
+      page,
+      limit,
+    });
+
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/auditoria:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/admin/auditoria/verificar", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "auditar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    // ?seq=&hash= = cabeza de una verificación anterior (guardada fuera)
+    const { seq, hash } = req.query || {};
+    let ancla = null;
+    if (seq !== undefined || hash !== undefined) {
+      const anclaSeq = Number(seq);
+      if (!Number.isInteger(anclaSeq) || anclaSeq < 1 || !/^[a-f0-9]{64}$/.test(String(hash))) {
+        return res.status(400).json({
+          ok: false,
+          error: "Ancla inválida: seq entero >= 1 y hash sha256 en hex",
+        });
+      }
+      ancla = { seq: anclaSeq, hash: String(hash) };
+    }
+
+    const result = await verifyAuditChain({ ancla });
+    if (!result.ok) {
+      console.warn("⚠️ Bitácora de auditoría alterada:", result.roto_en);
+    }
+    // Queda también en los logs de la plataforma, fuera de la base
+    console.log(`🧾 Cabeza de la bitácora: seq ${result.cabeza.seq} ${result.cabeza.hash}`);
+
+    return res.json(result);
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/auditoria/verificar:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ==============================
+// 🪝 ADMIN — Webhooks (suscripciones, entregas y dead-letter)
+// ==============================
+app.get("/api/admin/webhooks", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const subs = await WebhookSubscription.find().sort({ createdAt: -1 }).lean();
+    return res.json({
+      ok: true,
+      eventos: WEBHOOK_EVENTOS,
+      suscripciones: subs.map(publicSubscription),
+    });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/webhooks:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post("/api/admin/webhooks", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { value, errors } = validateWebhookInput(req.body);
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Suscripción inválida", errors });
+    }
+
+    const { sub, secret } = await createSubscription({
+      ...value,
+      descripcion: req.body?.descripcion,
+      actor: adminActor(admin),
+    });
+    res.locals.audit = { detalle: { subId: sub.subId, url: sub.url, eventos: sub.eventos } };
+
+    return res.status(201).json({
+      ok: true,
+      suscripcion: publicSubscription(sub),
+      secret, // solo se muestra esta vez
+    });
+  } catch (err) {
+    console.error("❌ Error en POST /api/admin/webhooks:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.put("/api/admin/webhooks/:subId", async (req, res) => {
+  try {
+    const admin = getAdminPayload(req, "supervisar");
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const { value, errors } = validateWebhookInput(req.body, { parcial: true });
+    if (req.body?.activo !== undefined && typeof req.body.activo !== "boolean") {
+      errors.activo = "Debe ser true o false.";
+    }
+    if (Object.keys(errors).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Suscripción inválida", errors });
+    }
+
+    const set = { ...value, actualizado_por: adminActor(admin) };
+    if (req.body?.activo !== undefined) set.activo = req.body.activo;
+    if (req.body?.descripcion !== undefined) set.descripcion = req.body.descripcion;
+
+    let sub = await WebhookSubscription.findOneAndUpdate(
+      { subId: req.params.subId },
+      { $set: set },
+      { new: true }
+    ).lean();
+    if (!sub) {
+      return res.status(404).json({ ok: false, error: "Suscripción no encontrada" });
+    }
+
+    let secret;
+    if (req.body?.rotarSecreto) {
+      ({ sub, secret } = await rotateSubscriptionSecret(sub.subId, {
+        actor: adminActor(admin),
+      }));
+    }
+    res.locals.audit = {
+      detalle: { subId: sub.subId, cambios: Object.keys(set), rotarSecreto: Boolean(secret) },
+    };
+
+    return res.json({ ok: true, suscripcion: publicSubscription(sub), secret });
+  } catch (err) {
+    console.error("❌ Error en PUT /api/admin/webhooks/:subId:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete("/api/admin/webhooks/:subId", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "supervisar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    // Las entregas quedan en el outbox; las pendientes pasan a dead-letter
+    const result = await WebhookSubscription.deleteOne({ subId: req.params.subId });
+    if (!result.deletedCount) {
+      return res.status(404).json({ ok: false, error: "Suscripción no encontrada" });
+    }
+    res.locals.audit = { detalle: { subId: req.params.subId } };
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("❌ Error en DELETE /api/admin/webhooks/:subId:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ?estado=fallido para la dead-letter; filtros subId, evento, order_id
+app.get("/api/admin/webhook-entregas", async (req, res) => {
+  try {
+    if (!isAdminAuthenticated(req)) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filtro = {};
+    if (req.query.estado) filtro.estado = String(req.query.estado);
+    if (req.query.subId) filtro.subId = String(req.query.subId);
+    if (req.query.evento) filtro.evento = String(req.query.evento);
+    if (req.query.order_id) filtro.order_id = Number(req.query.order_id);
+
+    const [total, entregas] = await Promise.all([
+      WebhookDelivery.countDocuments(filtro),
+      WebhookDelivery.find(filtro)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return res.json({ ok: true, total, page, limit, entregas });
+  } catch (err) {
+    console.error("❌ Error en GET /api/admin/webhook-entregas:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post("/api/admin/webhook-entregas/:deliveryId/reenviar", async (req, res) => {
+  try {
+    if (!getAdminPayload(req, "operar")) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "No autorizado (admin)" });
+    }
+
+    const entrega = await redeliverWebhook(req.params.deliveryId);
+    if (!entrega) {
+      return res.status(404).json({
+        ok: false,
+        error: "Entrega no encontrada o no está en dead-letter.",
+      });
+    }
+    res.locals.audit = {
+      orderId: entrega.order_id,
+      detalle: { deliveryId: entrega.deliveryId, evento: entrega.evento },
+    };
+
+    return res.json({ ok: true, entrega });
+  } catch (err) {
+    console.error("❌ Error en POST /api/admin/webhook-entregas/:deliveryId/reenviar:", err);
+    return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
@@ -1033,6 +4226,12 @@ startRateRefresher();
 // Inicia el auto-check de recibos WLD
 startAutoCheckWldReceipts();
 
+// Inicia la expiración de órdenes pendientes abandonadas
+startAutoExpirePendingOrders();
+
+// Inicia la entrega de webhooks pendientes
+startWebhookDelivery();
+
 // ==============================
 // START
 // ==============================
@@ -0,0 +1,323 @@
+// backend/services/adminAuth.js
+import crypto from "crypto";
+import { promisify } from "util";
+import { AdminUser } from "../models/AdminUser.js";
+import { decryptPii, encryptPii } from "./piiCrypto.js";
+
+/**
+ * Cuentas de admin: contraseña (scrypt), segundo factor TOTP (RFC 6238),
+ * roles y bloqueo por intentos fallidos.
+ *
+ * Roles → permisos:
+ *  - auditor:    leer, auditar (bitácora de auditoría)
+ *  - operator:   leer, operar (estados, lotes, conciliación, revisiones)
+ *  - supervisor: leer, operar, supervisar (cierres, reembolsos, settings,
+ *                horarios, niveles, lista de bloqueo, cuentas de admin),
+ *                auditar
+ *
+ * El primer admin sale de ADMIN_BOOTSTRAP_USERNAME / ADMIN_BOOTSTRAP_PASSWORD
+ * (solo si la colección está vacía) y debe activar TOTP al entrar.
+ */
+
+export const ADMIN_ROLES = ["operator", "supervisor", "auditor"];
+
+const PERMISOS_POR_ROL = {
+  auditor: ["leer", "auditar"],
+  operator: ["leer", "operar"],
+  supervisor: ["leer", "operar", "supervisar", "auditar"],
+};
+
+export function roleCan(role, permiso) {
+  return Boolean(PERMISOS_POR_ROL[role]?.includes(permiso));
+}
+
+export class AdminAuthError extends Error {
+  constructor(message, { code, status = 401 } = {}) {
+    super(message);
+    this.name = "AdminAuthError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// ==============================
+// Contraseñas (scrypt)
+// ==============================
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const MIN_PASSWORD_LENGTH = 10;
+
+export function validatePassword(password) {
+  return typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`;
+}
+
+// "scrypt$N$r$p$salt$hash" (base64): los parámetros viajan con el hash
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scrypt(password, salt, keylen, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [algo, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (algo !== "scrypt") return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Para que un usuario inexistente tarde lo mismo que una contraseña errada
+let _dummyHash = null;
+async function dummyHash() {
+  if (!_dummyHash) _dummyHash = await hashPassword(crypto.randomUUID());
+  return _dummyHash;
+}
+
+// ==============================
+// TOTP (RFC 6238: HMAC-SHA1, 30 s, 6 dígitos)
+// ==============================
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SEC = 30;
+const TOTP_DIGITS = 6;
+
+function base32Encode(buf) {
+  let bits = "";
+  for (const byte of buf) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = "";
+  for (const ch of String(str).toUpperCase().replace(/=+$/, "")) {
+    const idx = BASE32.indexOf(ch);
+    if (idx < 0) throw new Error("Secreto TOTP inválido");
+    bits += idx.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Truncado dinámico (RFC 4226 §5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Devuelve el paso (contador) del código si es válido en la ventana ±1
+ * y posterior a ultimoPaso; null si no.
+ */
+export function verifyTotp(secret, code, { ultimoPaso = 0, now = Date.now() } = {}) {
+  const str = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(str)) return null;
+
+  const actual = Math.floor(now / 1000 / TOTP_STEP_SEC);
+  for (const step of [actual - 1, actual, actual + 1]) {
+    if (step <= ultimoPaso) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(str))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+export function otpauthUrl(username, secret) {
+  const issuer = process.env.ADMIN_TOTP_ISSUER || "ChangeWLD";
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SEC}`;
+}
+
+// ==============================
+// Login
+// ==============================
+// $inc atómico: intentos en paralelo no pueden pisarse el contador
+async function registerFailure(user) {
+  const max = envNumber("ADMIN_MAX_FAILED_ATTEMPTS", 5);
+  const lockMin = envNumber("ADMIN_LOCKOUT_MIN", 15);
+
+  const updated = await AdminUser.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { intentos_fallidos: 1 } },
+    { new: true, projection: { intentos_fallidos: 1 } }
+  ).lean();
+
+  if (updated && updated.intentos_fallidos >= max) {
+    await AdminUser.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          bloqueado_hasta: new Date(Date.now() + lockMin * 60_000),
+          intentos_fallidos: 0,
+        },
+      }
+    );
+    console.warn(`🔒 Admin '${user.username}' bloqueado ${lockMin} min por intentos fallidos`);
+  }
+}
+
+/**
+ * Valida usuario + contraseña + TOTP. Devuelve el AdminUser o lanza
+ * AdminAuthError (401 credenciales, 423 bloqueado).
+ */
+export async function authenticateAdmin({ username, password, totp }) {
+  const user = await AdminUser.findOne({
+    username: String(username || "").toLowerCase().trim(),
+  });
+
+  if (!user || !user.activo) {
+    await verifyPassword(String(password || ""), await dummyHash());
+    throw new AdminAuthError("Usuario o contraseña inválidos", {
+      code: "INVALID_CREDENTIALS",
+    });
+  }
+
+  if (user.bloqueado_hasta && user.bloqueado_hasta > new Date()) {
+    throw new AdminAuthError(
+      "Cuenta bloqueada temporalmente por intentos fallidos",
+      { code: "ACCOUNT_LOCKED", status: 423 }
+    );
+  }
+
+  if (!(await verifyPassword(String(password || ""), user.passwordHash))) {
+    await registerFailure(user);
+    throw new AdminAuthError("Usuario o contraseña inválidos", {
+      code: "INVALID_CREDENTIALS",
+    });
+  }
+
+  const set = {
+    intentos_fallidos: 0,
+    bloqueado_hasta: null,
+    ultimo_login: new Date(),
+  };
+
+  if (user.totp_activo) {
+    const step = verifyTotp(decryptPii(user.totp_secret), totp, {
+      ultimoPaso: user.totp_ultimo_paso,
+    });
+    if (step === null) {
+      await registerFailure(user);
+      throw new AdminAuthError("Código TOTP inválido", {
+        code: totp ? "TOTP_INVALID" : "TOTP_REQUIRED",
+      });
+    }
+    set.totp_ultimo_paso = step;
+
+    // Condicional: de dos logins simultáneos con el mismo código solo uno
+    // avanza totp_ultimo_paso; el otro es un reuso
+    const result = await AdminUser.updateOne(
+      {
+        _id: user._id,
+        $or: [{ totp_ultimo_paso: null }, { totp_ultimo_paso: { $lt: step } }],
+      },
+      { $set: set }
+    );
+    if (result.matchedCount === 0) {
+      await registerFailure(user);
+      throw new AdminAuthError("Código TOTP ya usado", { code: "TOTP_INVALID" });
+    }
+    return user;
+  }
+
+  await AdminUser.updateOne({ _id: user._id }, { $set: set });
+  return user;
+}
+
+// ==============================
+// Enrolamiento TOTP
+// ==============================
+
+// Genera un secreto nuevo (aún inactivo) y devuelve el otpauth:// para el QR
+export async function startTotpEnrollment(username) {
+  const secret = generateTotpSecret();
+  const user = await AdminUser.findOneAndUpdate(
+    { username },
+    { $set: { totp_secret: encryptPii(secret), totp_activo: false } },
+    { new: true }
+  );
+  if (!user) {
+    throw new AdminAuthError("Admin no encontrado", { code: "NOT_FOUND", status: 404 });
+  }
+  return { secret, otpauth: otpauthUrl(username, secret) };
+}
+
+export async function confirmTotpEnrollment(username, code) {
+  const user = await AdminUser.findOne({ username });
+  if (!user?.totp_secret) {
+    throw new AdminAuthError("Primero genera el secreto TOTP", {
+      code: "TOTP_NOT_STARTED",
+      status: 400,
+    });
+  }
+
+  const step = verifyTotp(decryptPii(user.totp_secret), code);
+  if (step === null) {
+    throw new AdminAuthError("Código TOTP inválido", { code: "TOTP_INVALID", status: 400 });
+  }
+
+  user.totp_activo = true;
+  user.totp_ultimo_paso = step;
+  user.token_version += 1; // el token sin TOTP deja de servir
+  await user.save();
+}
+
+// ==============================
+// Primer admin desde el entorno
+// ==============================
+export async function bootstrapAdminFromEnv() {
+  const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  if (!username || !password) return null;
+
+  if (await AdminUser.exists({})) return null;
+
+  const error = validatePassword(password);
+  if (error) {
+    console.warn(`⚠️ ADMIN_BOOTSTRAP_PASSWORD: ${error}`);
+    return null;
+  }
+
+  const user = await AdminUser.create({
+    username,
+    passwordHash: await hashPassword(password),
+    role: "supervisor",
+    creado_por: "system:bootstrap",
+  });
+  console.log(
+    `👤 Admin inicial '${user.username}' creado (supervisor). Activa TOTP al entrar y quita ADMIN_BOOTSTRAP_PASSWORD del entorno.`
+  );
+  return user;
+}
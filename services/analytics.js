@@ -0,0 +1,152 @@
+// backend/services/analytics.js
+import { Order } from "../models/Order.js";
+import { toCsv } from "./csv.js";
+
+/**
+ * Analítica de volumen y ganancia sobre Order (agregación de Mongo).
+ *
+ * Agrupa por dia | semana | mes (según inventario_fecha), banco o estado y
+ * devuelve por grupo: órdenes, pagadas, conversión pendiente → pagada,
+ * volumen WLD recibido, COP pagado, ganancia_cop, ticket promedio y
+ * percentiles del tiempo hasta el pago (minutos).
+ */
+
+export const AGRUPACIONES = ["dia", "semana", "mes", "banco", "estado"];
+
+// La casa se quedó con el WLD en estos estados
+const ESTADOS_WLD_RECIBIDO = ["recibida_wld", "pagada"];
+
+const CLAVES = {
+  dia: "$inventario_fecha",
+  semana: {
+    $dateToString: {
+      format: "%G-W%V", // semana ISO, ej: 2025-W46
+      date: { $dateFromString: { dateString: "$inventario_fecha" } },
+    },
+  },
+  mes: { $substrCP: ["$inventario_fecha", 0, 7] },
+  banco: "$banco",
+  estado: "$estado",
+};
+
+const esPagada = { $eq: ["$estado", "pagada"] };
+const sumaSi = (cond, campo) => ({
+  $sum: { $cond: [cond, { $ifNull: [campo, 0] }, 0] },
+});
+
+/**
+ * creada_en se guarda con el reloj local (hora de Colombia marcada como Z) y
+ * el status_history de los cambios posteriores en UTC real; utcOffsetMin
+ * corrige esa diferencia para medir el tiempo hasta el pago.
+ */
+export function buildAnalyticsPipeline({ desde, hasta, agrupar, utcOffsetMin }) {
+  return [
+    { $match: { inventario_fecha: { $gte: desde, $lte: hasta } } },
+    {
+      $addFields: {
+        _pagada_at: {
+          $let: {
+            vars: {
+              pagos: {
+                $filter: {
+                  input: { $ifNull: ["$status_history", []] },
+                  cond: { $eq: ["$$this.to", "pagada"] },
+                },
+              },
+            },
+            in: { $last: "$$pagos.at" },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        _ttp_ms: {
+          $cond: [
+            { $and: [esPagada, "$_pagada_at", "$creada_en"] },
+            {
+              $subtract: [
+                { $toDate: "$_pagada_at" },
+                {
+                  $subtract: [
+                    { $toDate: "$creada_en" },
+                    utcOffsetMin * 60_000,
+                  ],
+                },
+              ],
+            },
+            null,
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: CLAVES[agrupar],
+        ordenes: { $sum: 1 },
+        pagadas: { $sum: { $cond: [esPagada, 1, 0] } },
+        wld_volumen: sumaSi(
+          { $in: ["$estado", ESTADOS_WLD_RECIBIDO] },
+          "$montoWLD"
+        ),
+        cop_pagado: sumaSi(esPagada, "$montoCOP"),
+        ganancia_cop: sumaSi(esPagada, "$ganancia_cop"),
+        ttp_ms: { $push: "$_ttp_ms" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+const toMin = (ms) => (ms === null ? null : round2(ms / 60_000));
+
+export async function getOrderAnalytics({ desde, hasta, agrupar, utcOffsetMin }) {
+  const grupos = await Order.aggregate(
+    buildAnalyticsPipeline({ desde, hasta, agrupar, utcOffsetMin })
+  );
+
+  return grupos.map((g) => {
+    const ttp = g.ttp_ms
+      .filter((ms) => Number.isFinite(ms) && ms >= 0)
+      .sort((a, b) => a - b);
+
+    return {
+      grupo: g._id ?? "sin_dato",
+      ordenes: g.ordenes,
+      pagadas: g.pagadas,
+      conversion: g.ordenes ? round2(g.pagadas / g.ordenes) : 0,
+      wld_volumen: round2(g.wld_volumen),
+      cop_pagado: round2(g.cop_pagado),
+      ganancia_cop: round2(g.ganancia_cop),
+      ticket_promedio_cop: g.pagadas ? round2(g.cop_pagado / g.pagadas) : 0,
+      tiempo_pago_p50_min: toMin(percentile(ttp, 50)),
+      tiempo_pago_p90_min: toMin(percentile(ttp, 90)),
+      tiempo_pago_p95_min: toMin(percentile(ttp, 95)),
+    };
+  });
+}
+
+const CSV_COLUMNAS = [
+  "grupo",
+  "ordenes",
+  "pagadas",
+  "conversion",
+  "wld_volumen",
+  "cop_pagado",
+  "ganancia_cop",
+  "ticket_promedio_cop",
+  "tiempo_pago_p50_min",
+  "tiempo_pago_p90_min",
+  "tiempo_pago_p95_min",
+].map((header) => ({ header, value: (row) => row[header] }));
+
+export function analyticsToCsv(rows) {
+  return toCsv(rows, CSV_COLUMNAS);
+}
@@ -0,0 +1,241 @@
+// backend/services/auditLog.js
+import crypto from "crypto";
+import { AuditLog } from "../models/AuditLog.js";
+import { stableStringify } from "./idempotency.js";
+
+/**
+ * Bitácora de auditoría encadenada por hash.
+ *
+ * hash = sha256(prev_hash + campos de la entrada en JSON estable). La primera
+ * entrada encadena contra GENESIS.
+ *
+ * - Dentro del proceso las escrituras van en fila (una promesa tras otra), así
+ *   que una ráfaga de requests no compite por el mismo seq
+ * - Entre procesos seq es único: el que pierde choca con el índice y
+ *   reintenta sobre la nueva cola
+ * - La verificación devuelve la cabeza {seq, hash}: guardándola afuera y
+ *   pasándola después como ancla se detecta si cortaron el final
+ */
+
+const GENESIS = "0".repeat(64);
+const MAX_REINTENTOS = 10;
+
+// Fila de escrituras del proceso (nunca queda rechazada)
+let colaEscritura = Promise.resolve();
+
+const CAMPOS_HASH = [
+  "seq",
+  "at",
+  "actor",
+  "role",
+  "accion",
+  "status",
+  "ruta",
+  "ip",
+  "user_agent",
+  "order_id",
+  "antes",
+  "despues",
+  "detalle",
+];
+
+function hashEntry(entry, prevHash) {
+  const data = {};
+  for (const campo of CAMPOS_HASH) data[campo] = entry[campo] ?? null;
+  return crypto
+    .createHash("sha256")
+    .update(prevHash)
+    .update(stableStringify(data))
+    .digest("hex");
+}
+
+// Ida y vuelta por JSON: fechas → string, sin undefined (el hash debe
+// calcularse igual al escribir y al verificar)
+const plain = (value) =>
+  value === undefined || value === null
+    ? null
+    : JSON.parse(JSON.stringify(value));
+
+/**
+ * Solo los campos que cambiaron: { antes: {campo}, despues: {campo} }.
+ */
+export function diffFields(antes, despues) {
+  const a = plain(antes) || {};
+  const d = plain(despues) || {};
+  const out = { antes: {}, despues: {} };
+
+  for (const campo of new Set([...Object.keys(a), ...Object.keys(d)])) {
+    if (stableStringify(a[campo]) !== stableStringify(d[campo])) {
+      out.antes[campo] = a[campo] ?? null;
+      out.despues[campo] = d[campo] ?? null;
+    }
+  }
+  return out;
+}
+
+export function recordAudit(entrada) {
+  const escritura = colaEscritura.then(() => appendAudit(entrada));
+  colaEscritura = escritura.catch(() => {});
+  return escritura;
+}
+
+async function appendAudit({
+  actor,
+  role = null,
+  accion,
+  status = null,
+  ruta = null,
+  ip = null,
+  userAgent = null,
+  orderId = null,
+  antes = null,
+  despues = null,
+  detalle = null,
+}) {
+  const base = {
+    at: new Date().toISOString(),
+    actor: actor || "anon",
+    role,
+    accion,
+    status,
+    ruta,
+    ip,
+    user_agent: userAgent,
+    order_id: orderId,
+    antes: plain(antes),
+    despues: plain(despues),
+    detalle: plain(detalle),
+  };
+
+  for (let intento = 0; intento < MAX_REINTENTOS; intento++) {
+    const ultima = await AuditLog.findOne({}, { seq: 1, hash: 1 })
+      .sort({ seq: -1 })
+      .lean();
+
+    const entry = { ...base, seq: (ultima?.seq || 0) + 1 };
+    const prevHash = ultima?.hash || GENESIS;
+
+    try {
+      return await AuditLog.create({
+        ...entry,
+        prev_hash: prevHash,
+        hash: hashEntry(entry, prevHash),
+      });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      // Otro proceso tomó ese seq: reintentamos sobre la nueva cola, con una
+      // espera corta al azar para no volver a chocar en el mismo instante
+      await new Promise((r) => setTimeout(r, Math.random() * 20 * (intento + 1)));
+    }
+  }
+
+  throw new Error("No se pudo escribir en la bitácora (seq en conflicto)");
+}
+
+/**
+ * Recorre la cadena en orden y devuelve la primera entrada alterada.
+ * { ok, revisadas, cabeza: { seq, hash }, roto_en: { seq, motivo } | null }
+ *
+ * ancla = { seq, hash } de una verificación anterior (guardada fuera de la
+ * base): esa entrada debe seguir en la cadena con el mismo hash; si no está,
+ * borraron el final.
+ */
+export async function verifyAuditChain({ ancla = null } = {}) {
+  let prevHash = GENESIS;
+  let esperado = 1;
+  let revisadas = 0;
+  let anclaVista = false;
+
+  const cabeza = () => ({ seq: esperado - 1, hash: prevHash });
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    revisadas++;
+
+    if (entry.seq !== esperado) {
+      return {
+        ok: false,
+        revisadas,
+        cabeza: cabeza(),
+        roto_en: { seq: esperado, motivo: "Falta la entrada (borrada)" },
+      };
+    }
+    if (entry.prev_hash !== prevHash) {
+      return {
+        ok: false,
+        revisadas,
+        cabeza: cabeza(),
+        roto_en: { seq: entry.seq, motivo: "prev_hash no coincide" },
+      };
+    }
+    if (hashEntry(entry, prevHash) !== entry.hash) {
+      return {
+        ok: false,
+        revisadas,
+        cabeza: cabeza(),
+        roto_en: { seq: entry.seq, motivo: "Contenido modificado" },
+      };
+    }
+
+    if (ancla && entry.seq === ancla.seq) {
+      if (entry.hash !== ancla.hash) {
+        return {
+          ok: false,
+          revisadas,
+          cabeza: cabeza(),
+          roto_en: { seq: entry.seq, motivo: "No coincide con el ancla" },
+        };
+      }
+      anclaVista = true;
+    }
+
+    prevHash = entry.hash;
+    esperado++;
+  }
+
+  if (ancla && !anclaVista) {
+    return {
+      ok: false,
+      revisadas,
+      cabeza: cabeza(),
+      roto_en: { seq: ancla.seq, motivo: "Falta el final de la cadena (truncada)" },
+    };
+  }
+
+  return { ok: true, revisadas, cabeza: cabeza(), roto_en: null };
+}
+
+/**
+ * Consulta paginada (más recientes primero).
+ * Filtros: actor, accion, order_id, desde / hasta (ISO, sobre at)
+ */
+export async function queryAudit({
+  actor,
+  accion,
+  orderId,
+  desde,
+  hasta,
+  page = 1,
+  limit = 50,
+}) {
+  const filtro = {};
+  if (actor) filtro.actor = actor;
+  if (accion) filtro.accion = accion;
+  if (orderId !== undefined && orderId !== null) filtro.order_id = orderId;
+  if (desde || hasta) {
+    filtro.at = {};
+    if (desde) filtro.at.$gte = desde;
+    if (hasta) filtro.at.$lte = hasta;
+  }
+
+  const [total, entries] = await Promise.all([
+    AuditLog.countDocuments(filtro),
+    AuditLog.find(filtro)
+      .sort({ seq: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  return { total, page, limit, entries };
+}
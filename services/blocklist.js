@@ -0,0 +1,49 @@
+// backend/services/blocklist.js
+import { BlocklistEntry } from "../models/BlocklistEntry.js";
+import { normalizeDestino } from "./reconciliation.js";
+
+/**
+ * Lista de bloqueo de nullifiers, wallets y cuentas de pago (celular / llave).
+ * El error hacia el cliente es siempre el mismo: no revela qué entrada coincidió.
+ */
+
+export const TIPOS_BLOQUEO = ["nullifier", "wallet", "cuenta"];
+
+export class BlockedError extends Error {
+  constructor() {
+    super("No es posible procesar esta solicitud. Contacta a soporte.");
+    this.name = "BlockedError";
+    this.code = "BLOCKED";
+    this.status = 403;
+  }
+}
+
+export function normalizeBlockValue(tipo, valor) {
+  const str = String(valor || "").trim();
+  if (tipo === "cuenta") return normalizeDestino(str);
+  return str.toLowerCase();
+}
+
+const vigente = () => ({
+  $or: [{ expira_en: null }, { expira_en: { $gt: new Date() } }],
+});
+
+// true si alguno de los valores dados está bloqueado
+export async function isBlocked({ nullifier, wallet, cuenta } = {}) {
+  const candidatos = Object.entries({ nullifier, wallet, cuenta })
+    .filter(([, valor]) => valor)
+    .map(([tipo, valor]) => ({ tipo, valor: normalizeBlockValue(tipo, valor) }));
+
+  if (!candidatos.length) return false;
+
+  const hit = await BlocklistEntry.exists({
+    $and: [{ $or: candidatos }, vigente()],
+  });
+  return Boolean(hit);
+}
+
+export async function assertNotBlocked(values) {
+  if (await isBlocked(values)) {
+    throw new BlockedError();
+  }
+}
@@ -0,0 +1,180 @@
+// backend/services/businessHours.js
+import { isClosedDay } from "./holidays.js";
+
+/**
+ * Horario de atención + regla de inventario.
+ *
+ * Las versiones del horario viven en Mongo (BusinessSchedule); server.js las
+ * carga aquí con setSchedules() para que el cálculo siga siendo síncrono.
+ * Sin versiones guardadas se usa DEFAULT_SCHEDULE (el horario histórico):
+ *
+ *   Lun–Vie: corte 5 pm → después va al siguiente día hábil
+ *   Sábado: corte 3 pm → después va al lunes
+ *   Domingo, festivos y cierres extraordinarios: siguiente día hábil
+ */
+
+export const DEFAULT_SCHEDULE = {
+  version: 0,
+  vigente_desde: new Date(0),
+  // 🇨🇴 Colombia está en UTC-5 sin cambios de horario
+  utc_offset_min: -5 * 60,
+  dias: [
+    { dia: 0, abre: false, apertura: "08:00", corte: "00:00" },
+    { dia: 1, abre: true, apertura: "08:00", corte: "17:00" },
+    { dia: 2, abre: true, apertura: "08:00", corte: "17:00" },
+    { dia: 3, abre: true, apertura: "08:00", corte: "17:00" },
+    { dia: 4, abre: true, apertura: "08:00", corte: "17:00" },
+    { dia: 5, abre: true, apertura: "08:00", corte: "17:00" },
+    { dia: 6, abre: true, apertura: "08:00", corte: "15:00" },
+  ],
+};
+
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Ordenadas por vigente_desde descendente
+let _schedules = [];
+
+export function setSchedules(list) {
+  _schedules = [...list].sort(
+    (a, b) => new Date(b.vigente_desde) - new Date(a.vigente_desde)
+  );
+}
+
+// Versión del horario que aplicaba en ese instante
+export function getScheduleAt(date = new Date()) {
+  const t = new Date(date).getTime();
+  return (
+    _schedules.find((s) => new Date(s.vigente_desde).getTime() <= t) ||
+    DEFAULT_SCHEDULE
+  );
+}
+
+/**
+ * Reloj local: un Date cuyos getters UTC dan la hora de Colombia
+ * (toISOString() = hora local; así se guarda creada_en).
+ */
+export function getLocalNow(now = new Date()) {
+  const schedule = getScheduleAt(now);
+  return new Date(now.getTime() + schedule.utc_offset_min * 60_000);
+}
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
+const hhmm = (date) => date.toISOString().slice(11, 16);
+
+function addDays(fecha, days) {
+  const d = new Date(`${fecha}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toISODate(d);
+}
+
+function diaDe(schedule, fecha) {
+  const weekday = new Date(`${fecha}T00:00:00Z`).getUTCDay();
+  return schedule.dias.find((d) => d.dia === weekday);
+}
+
+export function isWorkingDay(schedule, fecha) {
+  return Boolean(diaDe(schedule, fecha)?.abre) && !isClosedDay(fecha);
+}
+
+// Primer día hábil desde `fecha` (incluida)
+export function siguienteDiaHabil(schedule, fecha) {
+  let f = fecha;
+  // Tope de un año por si el horario no tiene ningún día abierto
+  for (let i = 0; i < 370; i++) {
+    if (isWorkingDay(schedule, f)) return f;
+    f = addDays(f, 1);
+  }
+  throw new Error("El horario no tiene días hábiles");
+}
+
+/**
+ * Fecha de inventario (YYYY-MM-DD) para una orden creada en `now`.
+ * Devuelve también la versión del horario aplicada.
+ */
+export function calcularInventarioFecha(now = new Date()) {
+  const schedule = getScheduleAt(now);
+  const local = new Date(now.getTime() + schedule.utc_offset_min * 60_000);
+  const hoy = toISODate(local);
+
+  const dentroDelCorte =
+    isWorkingDay(schedule, hoy) && hhmm(local) < diaDe(schedule, hoy).corte;
+
+  const fecha = dentroDelCorte
+    ? hoy
+    : siguienteDiaHabil(schedule, addDays(hoy, 1));
+
+  return { fecha, version: schedule.version };
+}
+
+// Instante real (UTC) de una hora local "HH:MM" en una fecha local
+function localToUtc(schedule, fecha, hora) {
+  const local = new Date(`${fecha}T${hora}:00Z`);
+  return new Date(local.getTime() - schedule.utc_offset_min * 60_000);
+}
+
+/**
+ * Estado del horario para el frontend: si se están procesando órdenes ahora
+ * y, si no, cuándo abre la próxima ventana.
+ */
+export function getBusinessStatus(now = new Date()) {
+  const schedule = getScheduleAt(now);
+  const local = new Date(now.getTime() + schedule.utc_offset_min * 60_000);
+  const hoy = toISODate(local);
+  const hora = hhmm(local);
+  const dia = diaDe(schedule, hoy);
+
+  const abierto =
+    isWorkingDay(schedule, hoy) && hora >= dia.apertura && hora < dia.corte;
+
+  let proximaApertura = null;
+  if (!abierto) {
+    const antesDeAbrir = isWorkingDay(schedule, hoy) && hora < dia.apertura;
+    const fecha = antesDeAbrir
+      ? hoy
+      : siguienteDiaHabil(schedule, addDays(hoy, 1));
+    proximaApertura = localToUtc(
+      schedule,
+      fecha,
+      diaDe(schedule, fecha).apertura
+    ).toISOString();
+  }
+
+  return {
+    abierto,
+    ahora: now.toISOString(),
+    cierra_a: abierto ? localToUtc(schedule, hoy, dia.corte).toISOString() : null,
+    proxima_apertura: proximaApertura,
+    inventario_fecha: calcularInventarioFecha(now).fecha,
+    horario_version: schedule.version,
+  };
+}
+
+// Valida los 7 días de un horario nuevo; devuelve errores por campo
+export function validateScheduleDays(dias) {
+  const errors = {};
+  if (!Array.isArray(dias) || dias.length !== 7) {
+    return { dias: "Se requieren los 7 días (0=Domingo … 6=Sábado)." };
+  }
+
+  const vistos = new Set();
+  for (const d of dias) {
+    const key = `dias.${d?.dia}`;
+    if (!Number.isInteger(d?.dia) || d.dia < 0 || d.dia > 6 || vistos.has(d.dia)) {
+      errors.dias = "Cada día (0–6) debe aparecer una sola vez.";
+      continue;
+    }
+    vistos.add(d.dia);
+    if (!d.abre) continue;
+    if (!HHMM_RE.test(d.apertura || "") || !HHMM_RE.test(d.corte || "")) {
+      errors[key] = "apertura y corte deben ser HH:MM.";
+    } else if (d.apertura >= d.corte) {
+      errors[key] = "La apertura debe ser antes del corte.";
+    }
+  }
+
+  if (!dias.some((d) => d?.abre)) {
+    errors.dias = "El horario debe tener al menos un día abierto.";
+  }
+
+  return Object.keys(errors).length ? errors : null;
+}
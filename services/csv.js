@@ -0,0 +1,109 @@
+// backend/services/csv.js
+
+// Valores que Excel / portales podrían interpretar como fórmula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  let str = String(value);
+
+  if (typeof value === "string" && FORMULA_PREFIX.test(str)) {
+    str = `'${str}`;
+  }
+
+  if (/[",\r\n;]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * columns: [{ header: "valor", value: (row) => row.montoCOP }, ...]
+ * Toda celda de texto pasa por la protección de fórmulas, sin excepción.
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => escapeCell(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCell(c.value(row))).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Los extractos de bancos colombianos suelen venir con ";"
+function detectDelimiter(headerLine) {
+  const commas = (headerLine.match(/,/g) || []).length;
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  return semicolons > commas ? ";" : ",";
+}
+
+// Encabezado en minúsculas, sin tildes ni espacios extra: "Fecha Transacción" → "fecha transaccion"
+function normalizeHeader(header) {
+  return String(header)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Parser CSV mínimo (comillas dobles, "" escapado, saltos de línea en celdas).
+ * Devuelve un objeto por fila con los encabezados normalizados.
+ */
+export function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = input.split(/\r?\n/, 1)[0] || "";
+  const delimiter = detectDelimiter(firstLine);
+
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== "" || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter((r) =>
+    r.some((c) => c.trim() !== "")
+  );
+  if (!header) return [];
+
+  const keys = header.map(normalizeHeader);
+  return rows.map((r) =>
+    Object.fromEntries(keys.map((k, idx) => [k, (r[idx] ?? "").trim()]))
+  );
+}
@@ -0,0 +1,140 @@
+// backend/services/holidays.js
+
+/**
+ * Festivos de Colombia para cualquier año (Ley 51 de 1983, "Ley Emiliani").
+ *
+ * - Fijos: se celebran el mismo día siempre
+ * - Emiliani: se trasladan al lunes siguiente si no caen en lunes
+ * - Según Pascua: Jueves y Viernes Santo (fijos) y Ascensión, Corpus Christi
+ *   y Sagrado Corazón (trasladados a lunes)
+ *
+ * Además guarda en memoria los cierres extraordinarios que define el admin
+ * (setExtraClosures), para que calcularInventarioFecha siga siendo síncrono.
+ */
+
+const FIJOS = [
+  ["01-01", "Año Nuevo"],
+  ["05-01", "Día del Trabajo"],
+  ["07-20", "Día de la Independencia"],
+  ["08-07", "Batalla de Boyacá"],
+  ["12-08", "Inmaculada Concepción"],
+  ["12-25", "Navidad"],
+];
+
+const EMILIANI = [
+  ["01-06", "Reyes Magos"],
+  ["03-19", "San José"],
+  ["06-29", "San Pedro y San Pablo"],
+  ["08-15", "Asunción de la Virgen"],
+  ["10-12", "Día de la Raza"],
+  ["11-01", "Todos los Santos"],
+  ["11-11", "Independencia de Cartagena"],
+];
+
+// [días desde el domingo de Pascua, nombre, se traslada a lunes]
+const SEGUN_PASCUA = [
+  [-3, "Jueves Santo", false],
+  [-2, "Viernes Santo", false],
+  [39, "Ascensión del Señor", true],
+  [60, "Corpus Christi", true],
+  [68, "Sagrado Corazón", true],
+];
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d;
+}
+
+function nextMonday(date) {
+  const day = date.getUTCDay(); // 0=Dom,1=Lun,...
+  return day === 1 ? date : addDays(date, (8 - day) % 7);
+}
+
+// Domingo de Pascua (algoritmo anónimo gregoriano / Meeus)
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+const _cache = new Map();
+
+// [{ fecha: "YYYY-MM-DD", nombre }] ordenados por fecha
+export function getColombianHolidays(year) {
+  if (_cache.has(year)) return _cache.get(year);
+
+  const festivos = [];
+  const mmdd = (s) => s.split("-").map(Number);
+
+  for (const [fecha, nombre] of FIJOS) {
+    const [m, d] = mmdd(fecha);
+    festivos.push({ fecha: toISODate(utcDate(year, m, d)), nombre });
+  }
+
+  for (const [fecha, nombre] of EMILIANI) {
+    const [m, d] = mmdd(fecha);
+    festivos.push({
+      fecha: toISODate(nextMonday(utcDate(year, m, d))),
+      nombre,
+    });
+  }
+
+  const pascua = easterSunday(year);
+  for (const [offset, nombre, trasladable] of SEGUN_PASCUA) {
+    const d = addDays(pascua, offset);
+    festivos.push({
+      fecha: toISODate(trasladable ? nextMonday(d) : d),
+      nombre,
+    });
+  }
+
+  // Dos festivos pueden caer el mismo lunes (ej. 2025-06-30): una sola fecha
+  // con ambos nombres, para que los conteos de días no hábiles no la dupliquen
+  const porFecha = new Map();
+  for (const f of festivos) {
+    const previo = porFecha.get(f.fecha);
+    porFecha.set(f.fecha, previo ? { ...previo, nombre: `${previo.nombre} / ${f.nombre}` } : f);
+  }
+
+  const unicos = [...porFecha.values()].sort((x, y) => x.fecha.localeCompare(y.fecha));
+  _cache.set(year, unicos);
+  return unicos;
+}
+
+export function isColombianHoliday(fecha) {
+  const year = Number(String(fecha).slice(0, 4));
+  return getColombianHolidays(year).some((f) => f.fecha === fecha);
+}
+
+// ==============================
+// Cierres extraordinarios (los carga server.js desde Mongo)
+// ==============================
+let _extraClosures = new Set();
+
+export function setExtraClosures(fechas) {
+  _extraClosures = new Set(fechas);
+}
+
+// Festivo o cierre extraordinario: la oficina no opera ese día
+export function isClosedDay(fecha) {
+  return isColombianHoliday(fecha) || _extraClosures.has(fecha);
+}
@@ -0,0 +1,139 @@
+// backend/services/idempotency.js
+import crypto from "crypto";
+import { IdempotencyKey } from "../models/IdempotencyKey.js";
+
+/**
+ * Middleware de Idempotency-Key para endpoints que crean cosas.
+ *
+ * - Sin header → sigue normal (el header es opcional)
+ * - La key es por dueño (wallet de la sesión): la misma key de otro usuario
+ *   es otra petición y nunca ve la respuesta guardada de este
+ * - Misma key + mismo body → devuelve la respuesta original guardada
+ * - Misma key + otro body → 422
+ * - Misma key aún en proceso → 409
+ * - Solo se guardan respuestas 2xx; si falla, la key se libera para reintentar
+ */
+
+const DEFAULT_TTL_HOURS = 24;
+
+function idempotencyTtlMs() {
+  const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS || DEFAULT_TTL_HOURS);
+  return (
+    (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) *
+    3600 *
+    1000
+  );
+}
+
+// JSON con llaves ordenadas: el mismo body da la misma huella
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function fingerprintRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(req.body || {}))
+    .digest("hex");
+}
+
+// Va después de requireWalletAuth
+const defaultOwner = (req) => req.wallet?.address || "anon";
+
+export function idempotency(scope, { ownerOf = defaultOwner } = {}) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+    const owner = ownerOf(req);
+
+    if (key.length > 255) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Idempotency-Key demasiado larga" });
+    }
+
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      await IdempotencyKey.create({
+        key,
+        scope,
+        owner,
+        fingerprint,
+        expiresAt: new Date(Date.now() + idempotencyTtlMs()),
+      });
+    } catch (err) {
+      if (err?.code !== 11000) {
+        console.error("❌ Error guardando Idempotency-Key:", err);
+        return res.status(500).json({ ok: false, error: err.message });
+      }
+
+      const previa = await IdempotencyKey.findOne({ key, scope, owner }).lean();
+
+      if (!previa) {
+        // Expiró justo ahora: el cliente puede reintentar
+        return res.status(409).json({
+          ok: false,
+          error: "Idempotency-Key en conflicto, reintenta.",
+          code: "IDEMPOTENCY_CONFLICT",
+        });
+      }
+
+      if (previa.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          ok: false,
+          error: "Idempotency-Key ya usada con otro contenido.",
+          code: "IDEMPOTENCY_MISMATCH",
+        });
+      }
+
+      if (previa.estado !== "completada") {
+        return res.status(409).json({
+          ok: false,
+          error: "La petición original aún se está procesando.",
+          code: "IDEMPOTENCY_IN_PROGRESS",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(previa.responseStatus).json(previa.responseBody);
+    }
+
+    // Capturamos la respuesta para guardarla con la key
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      const persist =
+        status >= 200 && status < 300
+          ? IdempotencyKey.updateOne(
+              { key, scope, owner },
+              {
+                $set: {
+                  estado: "completada",
+                  responseStatus: status,
+                  // ida y vuelta por JSON para guardar documentos mongoose
+                  responseBody: JSON.parse(JSON.stringify(body)),
+                },
+              }
+            )
+          : IdempotencyKey.deleteOne({ key, scope, owner });
+
+      persist.catch((err) =>
+        console.error("❌ Error actualizando Idempotency-Key:", err.message)
+      );
+
+      return originalJson(body);
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,158 @@
+// backend/services/inventoryClose.js
+import { InventoryClose } from "../models/InventoryClose.js";
+import { Order } from "../models/Order.js";
+import { calcularInventarioFecha } from "./businessHours.js";
+
+/**
+ * Cierre diario de inventario.
+ *
+ * - closeInventoryDay congela totales del día (WLD recibido, COP pagado,
+ *   ganancia_cop y conteo por estado) en un snapshot inmutable; solo se
+ *   puede cerrar un día que ya pasó su corte (no recibe órdenes nuevas)
+ * - mientras el día esté cerrado, las órdenes de ese inventario_fecha
+ *   no se pueden modificar (assertInventoryDayOpen)
+ * - reopenInventoryDay lo reabre con motivo; un nuevo cierre crea otra versión
+ */
+
+// Estados en los que la casa se quedó con el WLD
+const ESTADOS_WLD_RECIBIDO = ["recibida_wld", "pagada"];
+
+export class InventoryClosedError extends Error {
+  constructor(fecha) {
+    super(`El inventario del ${fecha} está cerrado.`);
+    this.name = "InventoryClosedError";
+    this.code = "INVENTORY_CLOSED";
+    this.fecha = fecha;
+    this.status = 423;
+  }
+}
+
+// El día todavía recibe órdenes: cerrarlo dejaría órdenes nuevas congeladas
+export class InventoryDayOpenError extends Error {
+  constructor(fecha) {
+    super(`El inventario del ${fecha} todavía recibe órdenes (no ha pasado su corte).`);
+    this.name = "InventoryDayOpenError";
+    this.code = "INVENTORY_DAY_OPEN";
+    this.fecha = fecha;
+    this.status = 409;
+  }
+}
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+export async function computeInventorySnapshot(fecha) {
+  const grupos = await Order.aggregate([
+    { $match: { inventario_fecha: fecha } },
+    {
+      $group: {
+        _id: "$estado",
+        count: { $sum: 1 },
+        montoWLD: { $sum: { $ifNull: ["$montoWLD", 0] } },
+        montoCOP: { $sum: { $ifNull: ["$montoCOP", 0] } },
+        ganancia_cop: { $sum: { $ifNull: ["$ganancia_cop", 0] } },
+      },
+    },
+  ]);
+
+  const porEstado = {};
+  let wldRecibido = 0;
+  let copPagado = 0;
+  let ganancia = 0;
+  let total = 0;
+
+  for (const g of grupos) {
+    porEstado[g._id] = g.count;
+    total += g.count;
+    if (ESTADOS_WLD_RECIBIDO.includes(g._id)) wldRecibido += g.montoWLD;
+    if (g._id === "pagada") {
+      copPagado += g.montoCOP;
+      ganancia += g.ganancia_cop;
+    }
+  }
+
+  return {
+    fecha,
+    total_ordenes: total,
+    wld_recibido: round2(wldRecibido),
+    cop_pagado: round2(copPagado),
+    ganancia_cop: round2(ganancia),
+    por_estado: porEstado,
+  };
+}
+
+async function getLatestClose(fecha) {
+  return InventoryClose.findOne({ fecha }).sort({ version: -1 }).lean();
+}
+
+export async function isInventoryDayClosed(fecha) {
+  const latest = await getLatestClose(fecha);
+  return Boolean(latest && !latest.reabierto_en);
+}
+
+// Para los jobs: cuáles de estas fechas están cerradas ahora mismo
+export async function getClosedInventoryDays(fechas) {
+  const unicas = [...new Set(fechas.filter(Boolean))];
+  if (!unicas.length) return new Set();
+
+  const cierres = await InventoryClose.aggregate([
+    { $match: { fecha: { $in: unicas } } },
+    { $sort: { version: -1 } },
+    { $group: { _id: "$fecha", reabierto_en: { $first: "$reabierto_en" } } },
+  ]);
+
+  return new Set(cierres.filter((c) => !c.reabierto_en).map((c) => c._id));
+}
+
+export async function assertInventoryDayOpen(fecha) {
+  if (fecha && (await isInventoryDayClosed(fecha))) {
+    throw new InventoryClosedError(fecha);
+  }
+}
+
+export async function closeInventoryDay(fecha, { actor, now = new Date() }) {
+  // Las órdenes de ahora van a este día o a uno posterior: fechas anteriores
+  // ya pasaron su corte
+  if (fecha >= calcularInventarioFecha(now).fecha) {
+    throw new InventoryDayOpenError(fecha);
+  }
+
+  const latest = await getLatestClose(fecha);
+  if (latest && !latest.reabierto_en) {
+    throw new InventoryClosedError(fecha);
+  }
+
+  const snapshot = await computeInventorySnapshot(fecha);
+
+  // El índice único (fecha, version) evita dos cierres simultáneos
+  const cierre = await InventoryClose.create({
+    fecha,
+    version: (latest?.version || 0) + 1,
+    snapshot,
+    cerrado_por: actor,
+  });
+
+  return cierre.toObject();
+}
+
+export async function reopenInventoryDay(fecha, { actor, reason }) {
+  const latest = await getLatestClose(fecha);
+  if (!latest || latest.reabierto_en) {
+    return null;
+  }
+
+  return InventoryClose.findOneAndUpdate(
+    { _id: latest._id, reabierto_en: null },
+    {
+      $set: {
+        reabierto_en: new Date(),
+        reabierto_por: actor,
+        reabierto_motivo: reason,
+      },
+    },
+    { new: true }
+  ).lean();
+}
+
+export async function listInventoryCloses(fecha) {
+  return InventoryClose.find({ fecha }).sort({ version: -1 }).lean();
+}
@@ -0,0 +1,224 @@
+// backend/services/limits.js
+import crypto from "crypto";
+import { LimitLock } from "../models/LimitLock.js";
+import { LimitTier } from "../models/LimitTier.js";
+import { Order } from "../models/Order.js";
+
+/**
+ * Límites por identidad (nullifier): máximo por orden y topes diarios,
+ * semanales y mensuales en WLD, COP y número de órdenes.
+ *
+ * - El nivel sale de User.tier; si no tiene, DEFAULT_LIMIT_TIER
+ * - Si el nivel no existe en Mongo se usa el nivel base armado desde el .env
+ * - Los periodos siguen el reloj local de creada_en (semana desde el lunes)
+ * - Revisar el uso y crear la orden va con el candado del nullifier
+ *   (acquireLimitLock / releaseLimitLock): dos órdenes
+ *   simultáneas del mismo nullifier no pueden pasar las dos el tope
+ */
+
+export const PERIODOS = ["diario", "semanal", "mensual"];
+
+const LOCK_TTL_MS = 30_000;
+const LOCK_REINTENTOS = 10;
+const LOCK_ESPERA_MS = 150;
+
+export class LimitLockError extends Error {
+  constructor() {
+    super("Ya hay otra orden en proceso para tu cuenta, intenta de nuevo.");
+    this.name = "LimitLockError";
+    this.code = "ORDER_IN_PROGRESS";
+    this.status = 409;
+  }
+}
+const METRICAS = ["wld", "cop", "ordenes"];
+
+// No cuentan para los montos: nunca se convirtieron
+const ESTADOS_SIN_MONTO = [
+  "expirada",
+  "rechazada",
+  "reembolso_pendiente",
+  "reembolsada",
+];
+
+const envNumber = (name) => {
+  const value = process.env[name];
+  if (value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+export function defaultTierName() {
+  return process.env.DEFAULT_LIMIT_TIER || "basico";
+}
+
+// Nivel base cuando no hay uno guardado (mantiene MAX_ORDERS_PER_NULLIFIER_PER_DAY)
+function envTier(nombre) {
+  return {
+    nombre,
+    max_por_orden_wld: envNumber("MAX_WLD_PER_ORDER"),
+    diario: {
+      wld: envNumber("MAX_WLD_PER_DAY"),
+      cop: envNumber("MAX_COP_PER_DAY"),
+      ordenes: envNumber("MAX_ORDERS_PER_NULLIFIER_PER_DAY") ?? 3,
+    },
+    semanal: {
+      wld: envNumber("MAX_WLD_PER_WEEK"),
+      cop: envNumber("MAX_COP_PER_WEEK"),
+      ordenes: null,
+    },
+    mensual: {
+      wld: envNumber("MAX_WLD_PER_MONTH"),
+      cop: envNumber("MAX_COP_PER_MONTH"),
+      ordenes: null,
+    },
+  };
+}
+
+export async function resolveTier(nombre) {
+  const tierName = nombre || defaultTierName();
+  const tier = await LimitTier.findOne({ nombre: tierName }).lean();
+  return tier || envTier(tierName);
+}
+
+// Inicio de cada periodo en el mismo formato que creada_en
+export function periodStarts(localNow) {
+  const dia = new Date(localNow);
+  dia.setUTCHours(0, 0, 0, 0);
+
+  const semana = new Date(dia);
+  semana.setUTCDate(semana.getUTCDate() - ((semana.getUTCDay() + 6) % 7));
+
+  const mes = new Date(dia);
+  mes.setUTCDate(1);
+
+  return {
+    diario: dia.toISOString(),
+    semanal: semana.toISOString(),
+    mensual: mes.toISOString(),
+  };
+}
+
+export async function computeUsage(nullifier, localNow) {
+  const starts = periodStarts(localNow);
+  const desde = [starts.semanal, starts.mensual].sort()[0];
+
+  const orders = await Order.find(
+    {
+      nullifier,
+      creada_en: { $gte: desde },
+      estado: { $ne: "expirada" },
+    },
+    { creada_en: 1, estado: 1, montoWLD: 1, montoCOP: 1 }
+  ).lean();
+
+  const usage = {};
+  for (const periodo of PERIODOS) {
+    const enPeriodo = orders.filter((o) => o.creada_en >= starts[periodo]);
+    const conMonto = enPeriodo.filter(
+      (o) => !ESTADOS_SIN_MONTO.includes(o.estado)
+    );
+    usage[periodo] = {
+      ordenes: enPeriodo.length,
+      wld: conMonto.reduce((acc, o) => acc + Number(o.montoWLD || 0), 0),
+      cop: conMonto.reduce((acc, o) => acc + Number(o.montoCOP || 0), 0),
+    };
+  }
+  return usage;
+}
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+// Toma el candado del nullifier (o el vencido de un proceso que murió).
+// Devuelve el token para liberarlo; LimitLockError si sigue ocupado.
+export async function acquireLimitLock(nullifier) {
+  const token = crypto.randomBytes(16).toString("hex");
+
+  for (let intento = 0; intento < LOCK_REINTENTOS; intento++) {
+    const expiresAt = new Date(Date.now() + LOCK_TTL_MS);
+    try {
+      await LimitLock.create({ nullifier, token, expiresAt });
+      return token;
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+    }
+
+    const vencido = await LimitLock.findOneAndUpdate(
+      { nullifier, expiresAt: { $lte: new Date() } },
+      { $set: { token, expiresAt } }
+    );
+    if (vencido) return token;
+
+    await new Promise((r) => setTimeout(r, LOCK_ESPERA_MS));
+  }
+
+  throw new LimitLockError();
+}
+
+// Solo lo borra quien lo tomó (el token evita soltar el de otro)
+export async function releaseLimitLock(nullifier, token) {
+  await LimitLock.deleteOne({ nullifier, token }).catch((err) =>
+    console.error("❌ Error liberando candado de límites:", err.message)
+  );
+}
+
+/**
+ * Devuelve las violaciones de límite para una orden nueva
+ * ([] si se puede crear).
+ */
+export function evaluateLimits(tier, usage, { montoWLD, montoCOP }) {
+  const violaciones = [];
+
+  if (tier.max_por_orden_wld !== null && tier.max_por_orden_wld !== undefined) {
+    if (montoWLD > tier.max_por_orden_wld) {
+      violaciones.push({
+        limite: "max_por_orden_wld",
+        maximo: tier.max_por_orden_wld,
+        solicitado: montoWLD,
+      });
+    }
+  }
+
+  const solicitado = { wld: montoWLD, cop: montoCOP, ordenes: 1 };
+
+  for (const periodo of PERIODOS) {
+    for (const metrica of METRICAS) {
+      const maximo = tier[periodo]?.[metrica];
+      if (maximo === null || maximo === undefined) continue;
+
+      const usado = usage[periodo][metrica];
+      if (usado + solicitado[metrica] > maximo) {
+        violaciones.push({
+          limite: `${periodo}.${metrica}`,
+          maximo,
+          usado: round2(usado),
+          solicitado: solicitado[metrica],
+        });
+      }
+    }
+  }
+
+  return violaciones;
+}
+
+// Lo que le queda al usuario en cada periodo (null = sin límite)
+export function remainingAllowance(tier, usage) {
+  const periodos = {};
+  for (const periodo of PERIODOS) {
+    periodos[periodo] = {};
+    for (const metrica of METRICAS) {
+      const maximo = tier[periodo]?.[metrica] ?? null;
+      const usado = round2(usage[periodo][metrica]);
+      periodos[periodo][metrica] = {
+        maximo,
+        usado,
+        disponible: maximo === null ? null : round2(Math.max(0, maximo - usado)),
+      };
+    }
+  }
+
+  return {
+    tier: tier.nombre,
+    max_por_orden_wld: tier.max_por_orden_wld ?? null,
+    periodos,
+  };
+}
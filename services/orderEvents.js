@@ -0,0 +1,219 @@
+// backend/services/orderEvents.js
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+/**
+ * Bus interno de eventos de órdenes (creación y cambios de estado).
+ *
+ * - Publican: la creación de órdenes, las rutas de admin y los procesos de
+ *   fondo (checkPendingWldReceipts, reembolsos, expiración)
+ * - Consumen: los streams SSE de usuario y de admin
+ * - Los últimos ORDER_EVENTS_BUFFER eventos quedan en memoria para reanudar
+ *   con Last-Event-ID. El id lleva el arranque del proceso: si el servidor
+ *   reinició o el evento ya salió del buffer, el cliente recibe "reset" y
+ *   debe volver a consultar las órdenes
+ * - EventSource no manda headers: el stream se abre con un ticket de un solo
+ *   uso (ORDER_STREAM_TICKET_TTL_SEC) pedido con el token normal, así el
+ *   token nunca va en la URL
+ * - Máximo ORDER_STREAMS_PER_OWNER streams por wallet / admin y
+ *   ORDER_STREAMS_MAX en total
+ */
+
+const DEFAULT_BUFFER = 500;
+const DEFAULT_TICKET_TTL_SEC = 30;
+const DEFAULT_STREAMS_PER_OWNER = 3;
+const DEFAULT_MAX_STREAMS = 500;
+const HEARTBEAT_MS = 25_000;
+const RETRY_MS = 5_000;
+
+const BOOT_ID = crypto.randomBytes(4).toString("hex");
+
+const bus = new EventEmitter();
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// ticket → { scope, identity, exp }
+const tickets = new Map();
+// dueño ("wallet:0x..." | "admin:<username>") → streams abiertos
+const streamsPorDueno = new Map();
+let streamsAbiertos = 0;
+
+let seq = 0;
+let buffer = [];
+
+function bufferSize() {
+  return envNumber("ORDER_EVENTS_BUFFER", DEFAULT_BUFFER);
+}
+
+function maxStreams() {
+  return envNumber("ORDER_STREAMS_MAX", DEFAULT_MAX_STREAMS);
+}
+
+/**
+ * tipo: "creada" | "estado"
+ * orden: la orden (doc o lean) ya con el nuevo estado o el anterior
+ * entry: la entrada de status_history de la transición
+ */
+export function publishOrderEvent(tipo, orden, entry) {
+  const event = {
+    seq: ++seq,
+    id: `${BOOT_ID}-${seq}`,
+    tipo,
+    order: {
+      id: orden.id,
+      wallet: orden.wallet || null,
+      nullifier: orden.nullifier || null,
+      montoWLD: orden.montoWLD,
+      montoCOP: orden.montoCOP,
+      inventario_fecha: orden.inventario_fecha || null,
+    },
+    estado: entry.to,
+    from: entry.from ?? null,
+    at: entry.at,
+    actor: entry.actor || null,
+    reason: entry.reason || null,
+  };
+
+  buffer.push(event);
+  if (buffer.length > bufferSize()) {
+    buffer = buffer.slice(-bufferSize());
+  }
+
+  bus.emit("order", event);
+  return event;
+}
+
+export function subscribeOrderEvents(listener) {
+  bus.on("order", listener);
+  return () => bus.off("order", listener);
+}
+
+/**
+ * Eventos posteriores a lastEventId. null = no se puede reanudar
+ * (otro arranque del proceso o ya salió del buffer).
+ */
+export function eventsSince(lastEventId) {
+  const [boot, rawSeq] = String(lastEventId).split("-");
+  const desde = Number(rawSeq);
+  if (boot !== BOOT_ID || !Number.isInteger(desde) || desde > seq) return null;
+
+  const primero = buffer[0]?.seq ?? seq + 1;
+  if (desde < primero - 1) return null;
+
+  return buffer.filter((e) => e.seq > desde);
+}
+
+// ==============================
+// Tickets de stream
+// ==============================
+
+/**
+ * scope: "wallet" | "admin" (un ticket de wallet no abre el stream de admin)
+ * identity: lo que la ruta del stream necesita del token original
+ */
+export function issueStreamTicket(scope, identity) {
+  const now = Date.now();
+  for (const [t, info] of tickets) {
+    if (info.exp <= now) tickets.delete(t);
+  }
+
+  const ticket = crypto.randomBytes(24).toString("base64url");
+  const exp = now + envNumber("ORDER_STREAM_TICKET_TTL_SEC", DEFAULT_TICKET_TTL_SEC) * 1000;
+  tickets.set(ticket, { scope, identity, exp });
+  return { ticket, expira_en: new Date(exp) };
+}
+
+// Un solo uso: se borra al canjearlo aunque no sirva
+export function redeemStreamTicket(ticket, scope) {
+  const key = String(ticket || "");
+  const info = tickets.get(key);
+  tickets.delete(key);
+  if (!info || info.scope !== scope || info.exp <= Date.now()) return null;
+  return info.identity;
+}
+
+function writeEvent(res, name, id, data) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${name}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Abre un stream SSE sobre res.
+ *
+ * - filter(event): si el evento va para este cliente
+ * - project(event): lo que se envía (sin datos que el cliente no deba ver)
+ * - owner: dueño del stream para el límite por wallet / admin
+ * - expiresAt: cierra el stream cuando vence el token con el que se abrió;
+ *   el cliente reconecta con uno nuevo
+ *
+ * Si se pasa de los límites responde 429 y devuelve false.
+ */
+export function streamOrderEvents(req, res, { filter, project, owner, expiresAt = null }) {
+  const delDueno = streamsPorDueno.get(owner) || 0;
+  if (
+    streamsAbiertos >= maxStreams() ||
+    delDueno >= envNumber("ORDER_STREAMS_PER_OWNER", DEFAULT_STREAMS_PER_OWNER)
+  ) {
+    res.status(429).json({
+      ok: false,
+      error: "Demasiados streams abiertos, cierra alguno e intenta de nuevo.",
+      code: "STREAM_LIMIT",
+    });
+    return false;
+  }
+  streamsPorDueno.set(owner, delDueno + 1);
+  streamsAbiertos++;
+  // Un listener por stream: el tope del bus acompaña al de streams
+  bus.setMaxListeners(maxStreams() + 10);
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // sin buffer en proxies (nginx / Render)
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (event) => {
+    if (filter(event)) writeEvent(res, "order", event.id, project(event));
+  };
+
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    const pendientes = eventsSince(lastEventId);
+    if (pendientes) {
+      pendientes.forEach(send);
+    } else {
+      writeEvent(res, "reset", null, { motivo: "No se puede reanudar desde ese id" });
+    }
+  }
+
+  const unsubscribe = subscribeOrderEvents(send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = setTimeout(() => {
+      writeEvent(res, "token_expired", null, {});
+      res.end();
+    }, Math.max(0, expiresAt - Date.now()));
+  }
+
+  req.on("close", () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    res.end();
+
+    streamsAbiertos--;
+    const restantes = (streamsPorDueno.get(owner) || 1) - 1;
+    if (restantes > 0) streamsPorDueno.set(owner, restantes);
+    else streamsPorDueno.delete(owner);
+  });
+  return true;
+}
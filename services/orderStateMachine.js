@@ -0,0 +1,164 @@
+// backend/services/orderStateMachine.js
+
+/**
+ * Máquina de estados de las órdenes.
+ *
+ *   pendiente → enviada → recibida_wld → pagada
+ *        ↘          ↘            ↘
+ *                 rechazada → reembolso_pendiente → reembolsada
+ *
+ * - pendiente → recibida_wld también es válido: cuando el usuario crea la
+ *   orden ya con wld_tx_id, checkPendingWldReceipts la marca directamente.
+ * - pendiente → expirada: la hace expirePendingOrders si nunca llegó tx.
+ * - revision_monto: llegó WLD por otro monto; el admin recotiza
+ *   (→ recibida_wld) o inicia reembolso (→ rechazada).
+ * - en_revision: el motor de riesgo retuvo la orden (al crearla o al
+ *   recibir el WLD) o el recibo llegó desde otra wallet / con otro token;
+ *   el admin la aprueba (vuelve a pendiente o sigue a recibida_wld) o la
+ *   rechaza.
+ * - Una tx que no transfiere nada (fallida, sin transferencia, duplicada)
+ *   se descarta y la orden sigue esperando otra tx o expira.
+ * - rechazada → reembolso_pendiente → reembolsada: devolución de WLD;
+ *   vuelve a rechazada si la tx del reembolso falla en la red o si es seguro
+ *   que nunca se transmitió. Si no se sabe, se queda en reembolso_pendiente.
+ * - pagada, expirada y reembolsada son terminales; rechazada solo sale
+ *   hacia el reembolso.
+ * - Toda transición a rechazada exige un motivo (reason).
+ */
+
+export const ESTADOS = [
+  "pendiente",
+  "enviada",
+  "recibida_wld",
+  "revision_monto",
+  "en_revision",
+  "pagada",
+  "rechazada",
+  "reembolso_pendiente",
+  "reembolsada",
+  "expirada",
+];
+
+const TRANSICIONES = {
+  pendiente: [
+    "enviada",
+    "recibida_wld",
+    "revision_monto",
+    "en_revision",
+    "rechazada",
+    "expirada",
+  ],
+  enviada: ["recibida_wld", "revision_monto", "en_revision", "rechazada"],
+  recibida_wld: ["pagada", "rechazada"],
+  revision_monto: ["recibida_wld", "rechazada"],
+  en_revision: ["pendiente", "recibida_wld", "rechazada"],
+  pagada: [],
+  rechazada: ["reembolso_pendiente"],
+  reembolso_pendiente: ["reembolsada", "rechazada"],
+  reembolsada: [],
+  expirada: [],
+};
+
+const ESTADOS_CON_MOTIVO = ["rechazada"];
+
+export class OrderTransitionError extends Error {
+  constructor(message, { code, from, to, status = 409 } = {}) {
+    super(message);
+    this.name = "OrderTransitionError";
+    this.code = code;
+    this.from = from;
+    this.to = to;
+    this.status = status;
+  }
+}
+
+export function isValidEstado(estado) {
+  return ESTADOS.includes(estado);
+}
+
+export function allowedTransitions(from) {
+  return TRANSICIONES[from] || [];
+}
+
+export function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+// Lanza OrderTransitionError si el cambio from → to no está permitido
+export function assertTransition(from, to, { reason } = {}) {
+  if (!isValidEstado(to)) {
+    throw new OrderTransitionError(`Estado inválido: ${to}`, {
+      code: "INVALID_STATE",
+      from,
+      to,
+      status: 400,
+    });
+  }
+
+  if (!canTransition(from, to)) {
+    throw new OrderTransitionError(
+      `Transición no permitida: ${from} → ${to}`,
+      { code: "ILLEGAL_TRANSITION", from, to }
+    );
+  }
+
+  if (ESTADOS_CON_MOTIVO.includes(to) && !String(reason || "").trim()) {
+    throw new OrderTransitionError(
+      `El cambio a '${to}' requiere un motivo (reason).`,
+      { code: "REASON_REQUIRED", from, to, status: 400 }
+    );
+  }
+}
+
+// Entrada de status_history: quién (actor), desde qué estado y por qué
+export function buildHistoryEntry({ from, to, actor, reason, at }) {
+  const entry = {
+    at: at || new Date().toISOString(),
+    from: from ?? null,
+    to,
+    actor: actor || "system",
+  };
+  const motivo = String(reason || "").trim();
+  if (motivo) entry.reason = motivo;
+  return entry;
+}
+
+/**
+ * Aplica la transición sobre un documento mongoose (no guarda).
+ * Devuelve la entrada agregada a status_history.
+ */
+export function applyTransition(orden, to, { actor, reason } = {}) {
+  const from = orden.estado;
+  assertTransition(from, to, { reason });
+
+  const entry = buildHistoryEntry({ from, to, actor, reason });
+
+  orden.estado = to;
+  orden.actualizada_en = entry.at;
+  if (!Array.isArray(orden.status_history)) {
+    orden.status_history = [];
+  }
+  orden.status_history.push(entry);
+
+  return entry;
+}
+
+/**
+ * Versión atómica para Order.updateOne: el filtro incluye el estado actual,
+ * así dos procesos no pueden aplicar la misma transición dos veces.
+ */
+export function buildTransitionUpdate(orden, to, { actor, reason, set } = {}) {
+  const from = orden.estado;
+  assertTransition(from, to, { reason });
+
+  const entry = buildHistoryEntry({ from, to, actor, reason });
+
+  return {
+    filter: { id: orden.id, estado: from },
+    update: {
+      $set: { ...(set || {}), estado: to, actualizada_en: entry.at },
+      $push: { status_history: entry },
+    },
+    entry,
+  };
+}
@@ -0,0 +1,72 @@
+// backend/services/payoutExport.js
+import { toCsv } from "./csv.js";
+
+/**
+ * Formatos CSV de pago por banco para subir al portal.
+ * Para un banco nuevo basta con registerPayoutFormat("Banco", columnas).
+ *
+ * - valor va en pesos enteros (los portales no aceptan centavos)
+ * - referencia = CWLD-<id> para poder conciliar después
+ * - las órdenes llegan ya descifradas (decryptOrderPii)
+ */
+
+const referencia = (o) => `CWLD-${o.id}`;
+const valorPesos = (o) => Math.round(Number(o.montoCOP || 0));
+
+const formats = {
+  Nequi: [
+    { header: "celular", value: (o) => o.numero },
+    { header: "valor", value: valorPesos },
+    { header: "referencia", value: referencia },
+    { header: "nombre", value: (o) => o.titular },
+  ],
+  "Llave Bre-B": [
+    // las llaves alfanuméricas ("@usuario") salen como '@usuario: el
+    // apóstrofo evita que la hoja de cálculo la tome como fórmula
+    { header: "llave", value: (o) => o.numero },
+    { header: "valor", value: valorPesos },
+    { header: "referencia", value: referencia },
+    { header: "titular", value: (o) => o.titular },
+  ],
+};
+
+export function registerPayoutFormat(banco, columns) {
+  formats[banco] = columns;
+}
+
+export function hasPayoutFormat(banco) {
+  return Boolean(formats[banco]);
+}
+
+export function buildPayoutCsv(banco, orders) {
+  const columns = formats[banco];
+  if (!columns) {
+    throw new Error(`No hay formato de pago para el banco ${banco}`);
+  }
+  return toCsv(orders, columns);
+}
+
+// Totales del lote, en general y agrupados por banco
+export function summarizePayout(orders) {
+  const sum = (list, field) =>
+    Number(list.reduce((acc, o) => acc + Number(o[field] || 0), 0).toFixed(2));
+
+  const bancos = [...new Set(orders.map((o) => o.banco))].sort();
+
+  return {
+    totales: {
+      count: orders.length,
+      montoCOP: sum(orders, "montoCOP"),
+      montoWLD: sum(orders, "montoWLD"),
+    },
+    por_banco: bancos.map((banco) => {
+      const list = orders.filter((o) => o.banco === banco);
+      return {
+        banco,
+        count: list.length,
+        montoCOP: sum(list, "montoCOP"),
+        montoWLD: sum(list, "montoWLD"),
+      };
+    }),
+  };
+}
@@ -0,0 +1,162 @@
+// backend/services/payoutValidation.js
+
+/**
+ * Validación del destino de pago COP por método (banco).
+ *
+ * Cada método registra un validador que recibe { titular, numero, tipoLlave }
+ * y devuelve { value, errors }:
+ *  - value: los datos normalizados que se guardan en la orden
+ *  - errors: { campo: "mensaje" } (vacío si todo está bien)
+ *
+ * Para un banco nuevo basta con registerPayoutMethod("Banco", validador).
+ */
+
+const validators = new Map();
+
+export function registerPayoutMethod(banco, validator) {
+  validators.set(banco, validator);
+}
+
+export function listPayoutMethods() {
+  return [...validators.keys()];
+}
+
+// ==============================
+// Helpers comunes
+// ==============================
+
+// "  maría   josé  pérez " → "MARIA JOSE PEREZ" (sin tildes: así lo piden los portales)
+export function normalizeTitular(raw) {
+  return String(raw || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toUpperCase();
+}
+
+function validateTitular(raw, errors) {
+  const titular = normalizeTitular(raw);
+  if (!titular) {
+    errors.titular = "El nombre del titular es obligatorio.";
+  } else if (!/^[A-ZÑ][A-ZÑ .'-]{1,79}$/.test(titular)) {
+    errors.titular = "El nombre solo puede tener letras y espacios.";
+  } else if (titular.split(" ").length < 2) {
+    errors.titular = "Escribe nombre y apellido del titular.";
+  }
+  return titular;
+}
+
+// Celular colombiano: 10 dígitos empezando por 3 (acepta +57 y espacios)
+const CELULAR_RE = /^3\d{9}$/;
+
+function normalizeCelular(raw) {
+  const digits = String(raw || "").replace(/[\s()+-]/g, "");
+  return digits.length === 12 && digits.startsWith("57")
+    ? digits.slice(2)
+    : digits;
+}
+
+// ==============================
+// Nequi
+// ==============================
+registerPayoutMethod("Nequi", ({ titular, numero }) => {
+  const errors = {};
+  const value = {
+    titular: validateTitular(titular, errors),
+    numero: normalizeCelular(numero),
+  };
+
+  if (!CELULAR_RE.test(value.numero)) {
+    errors.numero =
+      "El número Nequi debe ser un celular colombiano de 10 dígitos que empiece por 3.";
+  }
+
+  return { value, errors };
+});
+
+// ==============================
+// Llave Bre-B
+// ==============================
+export const TIPOS_LLAVE = {
+  cedula: {
+    normalize: (raw) => String(raw || "").replace(/[\s.]/g, ""),
+    test: (v) => /^\d{5,10}$/.test(v),
+    error: "La cédula debe tener entre 5 y 10 dígitos.",
+  },
+  celular: {
+    normalize: normalizeCelular,
+    test: (v) => CELULAR_RE.test(v),
+    error: "El celular debe tener 10 dígitos y empezar por 3.",
+  },
+  email: {
+    normalize: (raw) => String(raw || "").trim().toLowerCase(),
+    // Solo caracteres seguros y sin empezar por = + - @ (terminan en CSV)
+    test: (v) =>
+      v.length <= 92 &&
+      /^[a-z0-9][a-z0-9._%+-]*@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}$/.test(v),
+    error: "El correo no es válido.",
+  },
+  alfanumerica: {
+    normalize: (raw) => String(raw || "").trim().toLowerCase(),
+    test: (v) => /^@[a-z0-9]{3,20}$/.test(v),
+    error: "La llave alfanumérica es '@' seguido de 3 a 20 letras o números.",
+  },
+  comercio: {
+    normalize: (raw) => String(raw || "").replace(/\s/g, ""),
+    test: (v) => /^00\d{8}$/.test(v),
+    error: "La llave de comercio tiene 10 dígitos y empieza por 00.",
+  },
+};
+
+// Si el cliente no dice el tipo de llave, lo deducimos del formato
+export function detectTipoLlave(raw) {
+  const str = String(raw || "").trim();
+  if (str.startsWith("@")) return "alfanumerica";
+  if (str.includes("@")) return "email";
+
+  const digits = str.replace(/[\s().+-]/g, "");
+  if (/^00\d{8}$/.test(digits)) return "comercio";
+  if (CELULAR_RE.test(normalizeCelular(str))) return "celular";
+  return "cedula";
+}
+
+registerPayoutMethod("Llave Bre-B", ({ titular, numero, tipoLlave }) => {
+  const errors = {};
+  const tipo = tipoLlave || detectTipoLlave(numero);
+  // hasOwn: "constructor", "__proto__"... no son tipos de llave
+  const regla = Object.hasOwn(TIPOS_LLAVE, tipo) ? TIPOS_LLAVE[tipo] : null;
+
+  const value = {
+    titular: validateTitular(titular, errors),
+    numero: regla ? regla.normalize(numero) : String(numero || "").trim(),
+    tipoLlave: regla ? tipo : null,
+  };
+
+  if (!regla) {
+    errors.tipoLlave = `Tipo de llave inválido. Usa: ${Object.keys(TIPOS_LLAVE).join(", ")}.`;
+  } else if (!regla.test(value.numero)) {
+    errors.numero = regla.error;
+  }
+
+  return { value, errors };
+});
+
+/**
+ * Valida banco + destino. Devuelve { ok, value, errors } con errores por campo.
+ */
+export function validatePayoutDestination({ banco, titular, numero, tipoLlave }) {
+  const validator = validators.get(banco);
+  if (!validator) {
+    return {
+      ok: false,
+      value: null,
+      errors: {
+        banco: `Banco no permitido. Usa: ${listPayoutMethods().join(", ")}.`,
+      },
+    };
+  }
+
+  const { value, errors } = validator({ titular, numero, tipoLlave });
+  return { ok: !Object.keys(errors).length, value, errors };
+}
@@ -0,0 +1,225 @@
+// backend/services/piiCrypto.js
+import crypto from "crypto";
+import { normalizeDestino } from "./reconciliation.js";
+
+/**
+ * Cifrado de datos personales del destino de pago (titular, numero).
+ *
+ * - AES-256-GCM, formato guardado: "enc:<version>:<iv>:<tag>:<cifrado>" (base64)
+ * - Llaves en PII_ENCRYPTION_KEYS="v2:<base64 32 bytes>,v1:<base64 32 bytes>"
+ *   La primera es la activa (cifra); las demás solo descifran datos viejos.
+ *   Rotar = poner la nueva al inicio y llamar POST /api/admin/pii/rotar.
+ * - numero_hash: índice ciego (HMAC-SHA256 del numero normalizado) para
+ *   buscar por destino sin descifrar. Usa PII_HASH_KEY, que NO se rota.
+ *
+ * Los valores sin prefijo "enc:" son órdenes viejas en texto plano:
+ * se devuelven tal cual hasta que la rotación los cifre.
+ */
+
+const PREFIX = "enc";
+
+// Leídas en cada llamada: dotenv se carga después de importar los servicios
+function loadKeys() {
+  const raw = process.env.PII_ENCRYPTION_KEYS || "";
+  const keys = [];
+
+  for (const part of raw.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const idx = part.indexOf(":");
+    const version = part.slice(0, idx);
+    const key = Buffer.from(part.slice(idx + 1), "base64");
+    if (idx <= 0 || key.length !== 32) {
+      throw new Error(
+        `PII_ENCRYPTION_KEYS inválido: '${version || part}' debe ser <version>:<base64 de 32 bytes>`
+      );
+    }
+    keys.push({ version, key });
+  }
+
+  return keys;
+}
+
+function activeKey() {
+  const [active] = loadKeys();
+  if (!active) {
+    throw new Error("PII_ENCRYPTION_KEYS no configurado");
+  }
+  return active;
+}
+
+export function activeKeyVersion() {
+  return activeKey().version;
+}
+
+// Para el arranque: sin llave activa ni llave del índice ciego no se pueden
+// crear órdenes
+export function assertPiiKeysConfigured() {
+  hashKey();
+  return activeKeyVersion();
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(`${PREFIX}:`);
+}
+
+// Versión de llave con la que está cifrado (null = texto plano)
+export function keyVersionOf(value) {
+  return isEncrypted(value) ? value.split(":")[1] : null;
+}
+
+export function encryptPii(plain) {
+  if (plain === null || plain === undefined || plain === "") return plain;
+
+  const { version, key } = activeKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+
+  return [
+    PREFIX,
+    version,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    data.toString("base64"),
+  ].join(":");
+}
+
+export function decryptPii(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, version, iv, tag, data] = value.split(":");
+  const entry = loadKeys().find((k) => k.version === version);
+  if (!entry) {
+    throw new Error(`No hay llave PII para la versión '${version}'`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    entry.key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// Llave propia: si fuera otro secreto (ej. el de JWT), rotarlo rompería
+// todas las búsquedas por numero_hash y la blocklist
+function hashKey() {
+  const key = process.env.PII_HASH_KEY;
+  if (!key) {
+    throw new Error("PII_HASH_KEY no configurado");
+  }
+  return key;
+}
+
+// Mismo numero (con o sin +57, mayúsculas, espacios) → mismo hash
+export function blindIndex(numero) {
+  const normalizado = normalizeDestino(numero);
+  if (!normalizado) return null;
+  return crypto
+    .createHmac("sha256", hashKey())
+    .update(normalizado)
+    .digest("hex");
+}
+
+// ==============================
+// Enmascarado para respuestas públicas
+// ==============================
+
+// "3101234000" → "310****000", "ana@mail.com" → "an****@mail.com"
+export function maskNumero(value) {
+  const str = String(value || "");
+  if (!str) return str;
+
+  const at = str.indexOf("@");
+  if (at > 0) {
+    return `${str.slice(0, Math.min(2, at))}****${str.slice(at)}`;
+  }
+  if (str.length <= 6) {
+    return `${str.slice(0, 1)}****`;
+  }
+  return `${str.slice(0, 3)}****${str.slice(-3)}`;
+}
+
+// "MARIA JOSE PEREZ" → "MARIA J. P."
+export function maskTitular(value) {
+  const [nombre, ...resto] = String(value || "").split(" ").filter(Boolean);
+  if (!nombre) return "";
+  return [nombre, ...resto.map((p) => `${p[0]}.`)].join(" ");
+}
+
+/**
+ * Copia de la orden (lean o documento) con titular/numero en claro.
+ * Solo para rutas de admin y procesos internos (CSV de pagos, conciliación).
+ */
+export function decryptOrderPii(orden) {
+  const plain = typeof orden?.toObject === "function" ? orden.toObject() : { ...orden };
+  plain.titular = decryptPii(plain.titular);
+  plain.numero = decryptPii(plain.numero);
+  return plain;
+}
+
+// Campos que ve el dueño de la orden. Lista cerrada: un campo nuevo del
+// modelo (riesgo, revisión, conciliación...) no sale hasta agregarlo acá.
+const CAMPOS_PUBLICOS = [
+  "id",
+  "banco",
+  "tipo_llave",
+  "montoWLD",
+  "montoCOP",
+  "verified",
+  "verification_level",
+  "wallet",
+  "estado",
+  "creada_en",
+  "actualizada_en",
+  "inventario_fecha",
+  "wld_tx_id",
+  "recibo_clasificacion",
+  "wld_recibido",
+  "reembolso_solicitado_en",
+];
+
+const pick = (obj, campos) =>
+  obj ? Object.fromEntries(campos.filter((c) => c in obj).map((c) => [c, obj[c]])) : obj;
+
+// Copia para respuestas públicas: solo campos del usuario, PII enmascarada
+export function maskOrderPii(orden) {
+  const plain = decryptOrderPii(orden);
+  const out = pick(plain, CAMPOS_PUBLICOS);
+
+  out.titular = maskTitular(plain.titular);
+  out.numero = maskNumero(plain.numero);
+  // Sin actor ni reason: pueden nombrar al admin o reglas de riesgo
+  out.status_history = (plain.status_history || []).map((h) =>
+    pick(h, ["at", "from", "to"])
+  );
+  if (plain.wld_tx_descartadas?.length) {
+    out.wld_tx_descartadas = plain.wld_tx_descartadas.map((d) =>
+      pick(d, ["tx", "motivo", "at"])
+    );
+  }
+  if (plain.recotizacion) {
+    out.recotizacion = pick(plain.recotizacion, [
+      "at",
+      "montoWLD_original",
+      "montoCOP_original",
+      "wld_cop_usuario",
+    ]);
+  }
+  if (plain.reembolso) {
+    out.reembolso = pick(plain.reembolso, [
+      "to",
+      "monto_wld",
+      "tx_hash",
+      "enviado_en",
+      "confirmado_en",
+    ]);
+  }
+  if (plain.quote) {
+    out.quote = pick(plain.quote, ["quoteId", "wld_cop_usuario", "expira_en"]);
+  }
+  return out;
+}
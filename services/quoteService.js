@@ -0,0 +1,195 @@
+// backend/services/quoteService.js
+import crypto from "crypto";
+import { Quote } from "../models/Quote.js";
+import { getCachedRate } from "./rateService.js";
+
+/**
+ * Cotizaciones del lado del servidor.
+ *
+ * - POST /api/quotes bloquea la tasa wld_cop_usuario para un montoWLD
+ * - El quoteId va firmado (HMAC) con los valores bloqueados
+ * - La orden solo se crea con una cotización válida, vigente y sin usar
+ *   y el montoCOP / ganancia_cop salen de aquí, nunca del cliente
+ */
+
+const DEFAULT_QUOTE_TTL_SEC = 120;
+const MIN_MONTO_WLD = 1;
+
+// Leídos en cada llamada: dotenv se carga después de importar los servicios
+// Secreto propio, sin respaldo en el de JWT admin (una llave, un uso)
+function quoteSecret() {
+  const secret = process.env.QUOTE_SECRET;
+  if (!secret) {
+    throw new Error("QUOTE_SECRET no configurado");
+  }
+  return secret;
+}
+
+// Para el arranque: sin secreto no se pueden firmar cotizaciones
+export function assertQuoteSecretConfigured() {
+  quoteSecret();
+}
+
+function quoteTtlMs() {
+  const sec = Number(process.env.QUOTE_TTL_SEC || DEFAULT_QUOTE_TTL_SEC);
+  return (Number.isFinite(sec) && sec > 0 ? sec : DEFAULT_QUOTE_TTL_SEC) * 1000;
+}
+
+export class QuoteError extends Error {
+  constructor(message, { code, status = 400 } = {}) {
+    super(message);
+    this.name = "QuoteError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+function signQuote(nonce, { montoWLD, montoCOP, wld_cop_usuario, expira_en }) {
+  const expMs = new Date(expira_en).getTime();
+  return crypto
+    .createHmac("sha256", quoteSecret())
+    .update(`${nonce}|${montoWLD}|${montoCOP}|${wld_cop_usuario}|${expMs}`)
+    .digest("hex");
+}
+
+// El quoteId es "q_<nonce>.<firma>"; la firma cubre los valores bloqueados
+function verifyQuoteSignature(quote) {
+  const [prefixed, signature] = String(quote.quoteId).split(".");
+  const nonce = prefixed.slice(2);
+  const expected = signQuote(nonce, quote);
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+/**
+ * spread (fracción) viene de la política del nivel de verificación; si es
+ * null se usa la tasa de usuario con el SPREAD global.
+ */
+export async function createQuote({
+  montoWLD,
+  spread = null,
+  nivel = null,
+  nullifier = null,
+}) {
+  const montoWldNumber = Number(montoWLD || 0);
+  if (!Number.isFinite(montoWldNumber) || montoWldNumber < MIN_MONTO_WLD) {
+    throw new QuoteError(
+      `El monto mínimo por orden es de ${MIN_MONTO_WLD} WLD.`,
+      { code: "QUOTE_AMOUNT_INVALID" }
+    );
+  }
+
+  const rate = await getCachedRate();
+  if (rate.stale || !Number.isFinite(rate.wld_cop_usuario)) {
+    // No bloqueamos precios con una tasa vieja
+    throw new QuoteError("Tasa no disponible en este momento.", {
+      code: "QUOTE_RATE_UNAVAILABLE",
+      status: 503,
+    });
+  }
+
+  const wldCopUsuario =
+    spread === null ? rate.wld_cop_usuario : round2(rate.wld_cop_bruto * (1 - spread));
+  const spreadPercent = spread === null ? rate.spread_percent : spread * 100;
+
+  const montoCOP = round2(montoWldNumber * wldCopUsuario);
+  const gananciaCop = round2(montoWldNumber * rate.wld_cop_bruto - montoCOP);
+  const expiraEn = new Date(Date.now() + quoteTtlMs());
+
+  const locked = {
+    montoWLD: montoWldNumber,
+    montoCOP,
+    wld_cop_usuario: wldCopUsuario,
+    expira_en: expiraEn,
+  };
+
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const quoteId = `q_${nonce}.${signQuote(nonce, locked)}`;
+
+  const quote = await Quote.create({
+    ...locked,
+    quoteId,
+    ganancia_cop: gananciaCop,
+    wld_cop_bruto: rate.wld_cop_bruto,
+    spread_percent: spreadPercent,
+    verification_level: nivel,
+    nullifier,
+    fuente: rate.fuente,
+    fecha_tasa: rate.fecha,
+  });
+
+  return quote.toObject();
+}
+
+/**
+ * Marca la cotización como usada (atómico) y la devuelve.
+ * Lanza QuoteError si es inválida, no coincide, expiró o ya se usó.
+ */
+export async function redeemQuote(quoteId, { montoWLD } = {}) {
+  const rawId = String(quoteId || "");
+  if (!/^q_[a-f0-9]{32}\.[a-f0-9]{64}$/.test(rawId)) {
+    throw new QuoteError("Cotización inválida.", { code: "QUOTE_INVALID" });
+  }
+
+  const quote = await Quote.findOne({ quoteId: rawId }).lean();
+  if (!quote || !verifyQuoteSignature(quote)) {
+    throw new QuoteError("Cotización inválida.", { code: "QUOTE_INVALID" });
+  }
+
+  if (
+    montoWLD !== undefined &&
+    montoWLD !== null &&
+    Number(montoWLD) !== quote.montoWLD
+  ) {
+    throw new QuoteError("El monto no coincide con la cotización.", {
+      code: "QUOTE_MISMATCH",
+    });
+  }
+
+  if (quote.usada_en) {
+    throw new QuoteError("La cotización ya fue usada.", {
+      code: "QUOTE_USED",
+      status: 409,
+    });
+  }
+
+  const now = new Date();
+  if (new Date(quote.expira_en) <= now) {
+    throw new QuoteError("La cotización expiró. Solicita una nueva.", {
+      code: "QUOTE_EXPIRED",
+      status: 410,
+    });
+  }
+
+  const used = await Quote.findOneAndUpdate(
+    { quoteId: rawId, usada_en: null, expira_en: { $gt: now } },
+    { $set: { usada_en: now } },
+    { new: true }
+  ).lean();
+
+  if (!used) {
+    // Otra petición la consumió entre el findOne y el update
+    throw new QuoteError("La cotización ya fue usada.", {
+      code: "QUOTE_USED",
+      status: 409,
+    });
+  }
+
+  return used;
+}
+
+export async function attachQuoteToOrder(quoteId, orderId) {
+  await Quote.updateOne({ quoteId }, { $set: { order_id: orderId } });
+}
+
+// Si la orden no se pudo crear, la cotización vuelve a quedar disponible
+export async function releaseQuote(quoteId) {
+  await Quote.updateOne(
+    { quoteId, order_id: null },
+    { $set: { usada_en: null } }
+  );
+}
@@ -0,0 +1,125 @@
+// backend/services/receiptClassifier.js
+
+/**
+ * Clasifica el receipt de la tx que el usuario reportó (wld_tx_id):
+ *
+ *  - exacto                → Transfer de WLD a WALLET_DESTINO por montoWLD
+ *  - pago_menor / pago_mayor → llegó WLD pero por otro monto
+ *  - remitente_incorrecto  → llegó WLD pero desde otra wallet
+ *  - token_incorrecto      → llegó a WALLET_DESTINO otro token ERC-20
+ *  - tx_fallida            → la tx revirtió
+ *  - sin_transferencia     → la tx no transfiere nada a WALLET_DESTINO
+ *
+ * Si aún no hay receipt devuelve null (sigue pendiente en la red).
+ */
+
+export const CLASIFICACIONES = [
+  "exacto",
+  "pago_menor",
+  "pago_mayor",
+  "remitente_incorrecto",
+  "token_incorrecto",
+  "tx_fallida",
+  "sin_transferencia",
+];
+
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+const TX_HASH_RE = /^0x[a-fA-F0-9]{64}$/;
+
+// Hash de tx en minúsculas (así se guarda y se compara), o null si no es válido
+export function normalizeTxHash(raw) {
+  const str = String(raw || "").trim();
+  return TX_HASH_RE.test(str) ? str.toLowerCase() : null;
+}
+
+// Todos los eventos Transfer(from, to, value) del receipt, de cualquier token
+function parseTransfers(receipt, iface) {
+  const transferTopic = iface.getEvent("Transfer").topicHash.toLowerCase();
+  const transfers = [];
+
+  for (const log of receipt.logs || []) {
+    if (!log.address || (log.topics?.[0] || "").toLowerCase() !== transferTopic) {
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch {
+      continue;
+    }
+
+    transfers.push({
+      token: log.address.toLowerCase(),
+      from: String(parsed.args.from || parsed.args[0] || "").toLowerCase(),
+      to: String(parsed.args.to || parsed.args[1] || "").toLowerCase(),
+      value: BigInt(
+        parsed.args.value?.toString() || parsed.args[2]?.toString() || "0"
+      ),
+    });
+  }
+
+  return transfers;
+}
+
+export function classifyWldReceipt(
+  receipt,
+  { iface, tokenAddress, destino, expectedFrom, expectedValue }
+) {
+  if (!receipt) return null;
+
+  // En ethers v6 status puede venir como number o BigInt
+  if (receipt.status !== 1 && receipt.status !== 1n) {
+    return { clasificacion: "tx_fallida", recibidoWei: 0n, remitente: null };
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const destinoLc = destino.toLowerCase();
+
+  const haciaDestino = parseTransfers(receipt, iface).filter(
+    (t) => t.to === destinoLc
+  );
+
+  if (!haciaDestino.length) {
+    return {
+      clasificacion: "sin_transferencia",
+      recibidoWei: 0n,
+      remitente: null,
+    };
+  }
+
+  const deWld = haciaDestino.filter((t) => t.token === token);
+  if (!deWld.length) {
+    return {
+      clasificacion: "token_incorrecto",
+      recibidoWei: 0n,
+      remitente: haciaDestino[0].from,
+      token: haciaDestino[0].token,
+    };
+  }
+
+  const sumar = (list) => list.reduce((acc, t) => acc + t.value, 0n);
+
+  // Solo validamos remitente si la orden tiene una wallet esperada
+  const from = String(expectedFrom || "").toLowerCase();
+  let validos = deWld;
+  if (ADDRESS_RE.test(from)) {
+    validos = deWld.filter((t) => t.from === from);
+    if (!validos.length) {
+      return {
+        clasificacion: "remitente_incorrecto",
+        recibidoWei: sumar(deWld),
+        remitente: deWld[0].from,
+      };
+    }
+  }
+
+  const recibidoWei = sumar(validos);
+  const remitente = validos[0].from;
+
+  let clasificacion = "exacto";
+  if (recibidoWei < expectedValue) clasificacion = "pago_menor";
+  if (recibidoWei > expectedValue) clasificacion = "pago_mayor";
+
+  return { clasificacion, recibidoWei, remitente };
+}
@@ -0,0 +1,145 @@
+// backend/services/reconciliation.js
+
+/**
+ * Conciliación de extractos (Nequi / banco) contra órdenes 'recibida_wld'.
+ *
+ * Una fila del extracto casa con una orden cuando:
+ *  - el destino (celular / llave) es el mismo numero de la orden
+ *  - el valor coincide con montoCOP (± toleranceCop pesos)
+ *  - la fecha cae entre inventario_fecha y inventario_fecha + maxDays
+ * Si la referencia trae "CWLD-<id>" (la del CSV de pagos) se usa esa orden.
+ */
+
+// Nombres de columna que aceptamos en los extractos (ya normalizados)
+const COLUMNAS = {
+  fecha: ["fecha", "fecha transaccion", "fecha de la transaccion", "date"],
+  valor: ["valor", "monto", "importe", "amount", "valor transaccion"],
+  destino: [
+    "celular",
+    "numero",
+    "destino",
+    "cuenta",
+    "llave",
+    "numero destino",
+    "cuenta destino",
+  ],
+  referencia: ["referencia", "ref", "comprobante", "descripcion", "id"],
+};
+
+function pick(row, aliases) {
+  for (const alias of aliases) {
+    if (row[alias] !== undefined && row[alias] !== "") return row[alias];
+  }
+  return "";
+}
+
+// "$ 7.689,00" / "7689.00" / "-7,689" → 7689
+export function parseMonto(raw) {
+  let str = String(raw || "").replace(/[^\d.,-]/g, "");
+  if (!str) return NaN;
+
+  const lastDot = str.lastIndexOf(".");
+  const lastComma = str.lastIndexOf(",");
+  const decimalSep = (() => {
+    if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? "." : ",";
+    const sep = lastDot >= 0 ? "." : lastComma >= 0 ? "," : null;
+    if (!sep) return null;
+    // "7.689" o "7,689" con 3 dígitos al final → separador de miles
+    const decimals = str.length - str.lastIndexOf(sep) - 1;
+    return decimals === 3 ? null : sep;
+  })();
+
+  const thousandSep = decimalSep === "." ? "," : decimalSep === "," ? "." : null;
+  if (thousandSep) str = str.split(thousandSep).join("");
+  if (!decimalSep) str = str.replace(/[.,]/g, "");
+  if (decimalSep === ",") str = str.replace(",", ".");
+
+  return Math.abs(Number(str));
+}
+
+// "2025-11-11", "11/11/2025", "11-11-2025 16:02" → "2025-11-11"
+export function parseFecha(raw) {
+  const str = String(raw || "").trim();
+  let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = str.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+// Celulares: solo dígitos y sin indicativo 57; llaves: minúsculas
+export function normalizeDestino(raw) {
+  const str = String(raw || "").trim();
+  const digits = str.replace(/\D/g, "");
+  if (digits && /^[\d\s+()-]+$/.test(str)) {
+    return digits.length === 12 && digits.startsWith("57")
+      ? digits.slice(2)
+      : digits;
+  }
+  return str.toLowerCase();
+}
+
+function addDays(fecha, days) {
+  const d = new Date(`${fecha}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export function normalizeStatementRows(rows) {
+  return rows.map((row, index) => {
+    const referencia = pick(row, COLUMNAS.referencia);
+    return {
+      fila: index + 2, // +1 encabezado, +1 base 1 (como en Excel)
+      fecha: parseFecha(pick(row, COLUMNAS.fecha)),
+      valor: parseMonto(pick(row, COLUMNAS.valor)),
+      destino: normalizeDestino(pick(row, COLUMNAS.destino)),
+      referencia,
+      order_id_ref: Number(referencia.match(/CWLD-(\d+)/i)?.[1]) || null,
+    };
+  });
+}
+
+export function matchStatement(
+  rows,
+  orders,
+  { toleranceCop = 1, maxDays = 3 } = {}
+) {
+  const libres = new Map(orders.map((o) => [o.id, o]));
+  const matches = [];
+  const unmatchedRows = [];
+
+  const casa = (row, o) =>
+    normalizeDestino(o.numero) === row.destino &&
+    Math.abs(Number(o.montoCOP || 0) - row.valor) <= toleranceCop &&
+    row.fecha >= o.inventario_fecha &&
+    row.fecha <= addDays(o.inventario_fecha, maxDays);
+
+  for (const row of rows) {
+    if (!row.fecha || !Number.isFinite(row.valor) || !row.destino) {
+      unmatchedRows.push({ ...row, motivo: "Fila incompleta" });
+      continue;
+    }
+
+    let order = null;
+    const porRef = row.order_id_ref && libres.get(row.order_id_ref);
+    if (porRef && casa(row, porRef)) {
+      order = porRef;
+    } else {
+      // La candidata más cercana en fecha a su inventario
+      const candidatas = [...libres.values()]
+        .filter((o) => casa(row, o))
+        .sort((a, b) => b.inventario_fecha.localeCompare(a.inventario_fecha));
+      order = candidatas[0] || null;
+    }
+
+    if (!order) {
+      unmatchedRows.push({ ...row, motivo: "Sin orden que coincida" });
+      continue;
+    }
+
+    libres.delete(order.id);
+    matches.push({ row, order });
+  }
+
+  return { matches, unmatchedRows, unmatchedOrders: [...libres.values()] };
+}
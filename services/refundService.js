@@ -0,0 +1,128 @@
+// backend/services/refundService.js
+import fs from "fs/promises";
+import { ethers } from "ethers";
+import { WLD_ABI } from "../wldAbi.js";
+
+/**
+ * Reembolsos de WLD: transfer ERC-20 desde la wallet de la casa
+ * de vuelta al remitente original.
+ *
+ * El firmante es enchufable (REFUND_SIGNER):
+ *  - "keystore" → KEYSTORE_PATH + KEYSTORE_PASSWORD (JSON cifrado de ethers)
+ *  - "env"      → REFUND_PRIVATE_KEY
+ * Se pueden registrar otros con registerRefundSigner(nombre, factory).
+ *
+ * Para probar en local con Anvil/Hardhat:
+ *   WORLDCHAIN_RPC_URL=http://127.0.0.1:8545
+ *   WLD_TOKEN_ADDRESS=<ERC-20 desplegado en el nodo>
+ *   REFUND_SIGNER=env
+ *   REFUND_PRIVATE_KEY=<una de las cuentas de prueba del nodo>
+ */
+
+const signerFactories = {
+  keystore: async (provider) => {
+    const keystorePath = process.env.KEYSTORE_PATH;
+    const password = process.env.KEYSTORE_PASSWORD;
+    if (!keystorePath || !password) {
+      throw new Error("KEYSTORE_PATH / KEYSTORE_PASSWORD no configurados");
+    }
+    const json = await fs.readFile(keystorePath, "utf8");
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return wallet.connect(provider);
+  },
+
+  env: async (provider) => {
+    const privateKey = process.env.REFUND_PRIVATE_KEY;
+    if (!privateKey) {
+      throw new Error("REFUND_PRIVATE_KEY no configurado");
+    }
+    return new ethers.Wallet(privateKey, provider);
+  },
+};
+
+/**
+ * Error al enviar un reembolso.
+ * enviada: false = seguro que no salió (se puede volver a intentar);
+ *          null  = no se sabe (la red pudo aceptarla); txHash si ya se firmó.
+ */
+export class RefundSendError extends Error {
+  constructor(message, { enviada = null, txHash = null, from = null } = {}) {
+    super(message);
+    this.name = "RefundSendError";
+    this.enviada = enviada;
+    this.txHash = txHash;
+    this.from = from;
+  }
+}
+
+let _signer = null;
+
+export function registerRefundSigner(name, factory) {
+  signerFactories[name] = factory;
+  _signer = null;
+}
+
+function refundSignerName() {
+  return (
+    process.env.REFUND_SIGNER || (process.env.KEYSTORE_PATH ? "keystore" : "env")
+  );
+}
+
+// Descifrar el keystore es lento: lo hacemos una vez y lo guardamos
+export async function getRefundSigner(provider) {
+  if (_signer) return _signer;
+
+  const name = refundSignerName();
+  const factory = signerFactories[name];
+  if (!factory) {
+    throw new Error(`REFUND_SIGNER desconocido: ${name}`);
+  }
+
+  _signer = await factory(provider);
+  return _signer;
+}
+
+/**
+ * Envía el transfer de WLD y devuelve apenas la red acepta la tx
+ * (la confirmación la sigue checkPendingRefunds).
+ *
+ * Se firma antes de transmitir: así el hash se conoce aunque el envío falle,
+ * y solo un fallo previo a la transmisión se reporta como "no enviada".
+ */
+export async function sendWldRefund({ provider, tokenAddress, to, amountWei }) {
+  if (!provider || !tokenAddress) {
+    throw new RefundSendError("World Chain no está configurado en el backend.", {
+      enviada: false,
+    });
+  }
+  if (!ethers.isAddress(to)) {
+    throw new RefundSendError("Dirección de reembolso inválida", { enviada: false });
+  }
+  if (amountWei <= 0n) {
+    throw new RefundSendError("Monto de reembolso inválido", { enviada: false });
+  }
+
+  let from;
+  let signedTx;
+  try {
+    const signer = await getRefundSigner(provider);
+    const contract = new ethers.Contract(tokenAddress, WLD_ABI, signer);
+    from = await signer.getAddress();
+    const txRequest = await signer.populateTransaction(
+      await contract.transfer.populateTransaction(to, amountWei)
+    );
+    signedTx = await signer.signTransaction(txRequest);
+  } catch (err) {
+    throw new RefundSendError(err.message, { enviada: false, from });
+  }
+
+  const txHash = ethers.keccak256(signedTx);
+  try {
+    await provider.broadcastTransaction(signedTx);
+  } catch (err) {
+    // Timeout, "already known", nonce usado...: pudo haber llegado a la red
+    throw new RefundSendError(err.message, { enviada: null, txHash, from });
+  }
+
+  return { txHash, from };
+}
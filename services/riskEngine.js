@@ -0,0 +1,186 @@
+// backend/services/riskEngine.js
+import { ethers } from "ethers";
+import { Order } from "../models/Order.js";
+import { blindIndex } from "./piiCrypto.js";
+
+/**
+ * Motor de riesgo por reglas.
+ *
+ * Corre en dos fases:
+ *  - "creacion": en POST /api/orders, antes de aceptar la orden
+ *  - "recibo":   en checkPendingWldReceipts, cuando llega el WLD
+ *
+ * Cada regla suma puntos; si el total llega a RISK_REVIEW_THRESHOLD la orden
+ * pasa a 'en_revision' y un admin la aprueba o rechaza.
+ * Para agregar una regla: registerRiskRule({ id, fases, evaluate }).
+ */
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export function riskThreshold() {
+  return envNumber("RISK_REVIEW_THRESHOLD", 50);
+}
+
+const rules = [
+  {
+    id: "numero_compartido",
+    fases: ["creacion"],
+    evaluate: (ctx) => {
+      const max = envNumber("RISK_MAX_NULLIFIERS_PER_NUMERO", 2);
+      return ctx.nullifiersMismoNumero >= max
+        ? {
+            puntos: 50,
+            detalle: `El destino de pago lo usan ${ctx.nullifiersMismoNumero} identidades más`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "rafaga_ordenes",
+    fases: ["creacion"],
+    evaluate: (ctx) => {
+      const max = envNumber("RISK_MAX_ORDERS_PER_HOUR", 3);
+      return ctx.ordenesUltimaHora >= max
+        ? {
+            puntos: 30,
+            detalle: `${ctx.ordenesUltimaHora} órdenes en la última hora`,
+          }
+        : null;
+    },
+  },
+  {
+    id: "monto_alto",
+    fases: ["creacion"],
+    evaluate: (ctx) => {
+      const alto = envNumber("RISK_HIGH_AMOUNT_WLD", 100);
+      return ctx.montoWLD >= alto
+        ? { puntos: 20, detalle: `Monto de ${ctx.montoWLD} WLD` }
+        : null;
+    },
+  },
+  {
+    // walletTxCount: historial de la wallet (ver buildContext), sirve igual
+    // para EOAs y para Safes
+    id: "wallet_nueva_monto_alto",
+    fases: ["recibo"],
+    evaluate: (ctx) => {
+      const alto = envNumber("RISK_HIGH_AMOUNT_WLD", 100);
+      const minTx = envNumber("RISK_NEW_WALLET_MAX_TX", 5);
+      return ctx.walletTxCount !== null &&
+        ctx.walletTxCount < minTx &&
+        ctx.montoWLD >= alto
+        ? {
+            puntos: 50,
+            detalle: `Wallet con ${ctx.walletTxCount} tx / órdenes previas envía ${ctx.montoWLD} WLD`,
+          }
+        : null;
+    },
+  },
+];
+
+// Safe (World App): nonce() cuenta sus tx ejecutadas; el nonce de cuenta no
+const SAFE_ABI = ["function nonce() view returns (uint256)"];
+
+export function registerRiskRule(rule) {
+  rules.push(rule);
+}
+
+async function buildContext(orden, { fase, provider }) {
+  const haceUnaHora = new Date(
+    new Date(orden.creada_en || Date.now()).getTime() - 3600_000
+  ).toISOString();
+
+  const ctx = {
+    fase,
+    montoWLD: Number(orden.montoWLD || 0),
+    nullifiersMismoNumero: 0,
+    ordenesUltimaHora: 0,
+    walletTxCount: null,
+  };
+
+  if (fase === "creacion") {
+    // numero va cifrado: comparamos por el índice ciego
+    const otros = await Order.distinct("nullifier", {
+      numero_hash: orden.numero_hash || blindIndex(orden.numero),
+      nullifier: { $ne: orden.nullifier },
+    });
+    ctx.nullifiersMismoNumero = otros.length;
+
+    ctx.ordenesUltimaHora = await Order.countDocuments({
+      nullifier: orden.nullifier,
+      creada_en: { $gte: haceUnaHora },
+    });
+  }
+
+  if (fase === "recibo" && orden.wld_remitente) {
+    ctx.walletTxCount = await walletHistory(orden, provider);
+  }
+
+  return ctx;
+}
+
+/**
+ * Qué tan usada está la wallet que envió el WLD: el mayor entre
+ *  - órdenes nuestras ya recibidas desde esa wallet (no depende de la red)
+ *  - en la red: nonce() si es un Safe (las de World App; su nonce de cuenta
+ *    queda en 0) o el nonce de cuenta si es una EOA
+ * null solo si no se pudo leer nada.
+ */
+async function walletHistory(orden, provider) {
+  const lower = String(orden.wld_remitente).toLowerCase();
+  const variants = ethers.isAddress(lower) ? [lower, ethers.getAddress(lower)] : [lower];
+  let historial = null;
+
+  try {
+    historial = await Order.countDocuments({
+      id: { $ne: orden.id },
+      wld_remitente: { $in: variants },
+      estado: { $in: ["recibida_wld", "pagada"] },
+    });
+  } catch (err) {
+    console.warn("riskEngine: no se pudieron contar órdenes previas:", err.message);
+  }
+
+  if (provider) {
+    try {
+      const code = await provider.getCode(lower);
+      const enRed =
+        code === "0x"
+          ? await provider.getTransactionCount(lower)
+          : Number(await new ethers.Contract(lower, SAFE_ABI, provider).nonce());
+      historial = Math.max(historial ?? 0, enRed);
+    } catch (err) {
+      console.warn("riskEngine: no se pudo leer la wallet:", err.message);
+    }
+  }
+
+  return historial;
+}
+
+/**
+ * Evalúa la orden en una fase y devuelve
+ * { fase, score, reglas: [{ regla, puntos, detalle }], revisar, at }
+ */
+export async function evaluateOrderRisk(orden, { fase, provider } = {}) {
+  const ctx = await buildContext(orden, { fase, provider });
+
+  const reglas = [];
+  for (const rule of rules) {
+    if (!rule.fases.includes(fase)) continue;
+    const hit = await rule.evaluate(ctx, orden);
+    if (hit) reglas.push({ regla: rule.id, ...hit });
+  }
+
+  const score = reglas.reduce((acc, r) => acc + r.puntos, 0);
+
+  return {
+    fase,
+    score,
+    reglas,
+    revisar: score >= riskThreshold(),
+    at: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,17 @@
+// backend/services/settings.js
+import { Setting } from "../models/Setting.js";
+
+// Lee un ajuste guardado en Mongo; si no existe devuelve el fallback
+export async function getSetting(key, fallback = null) {
+  const doc = await Setting.findOne({ key }).lean();
+  return doc && doc.value !== undefined ? doc.value : fallback;
+}
+
+export async function setSetting(key, value, updatedBy) {
+  const doc = await Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true }
+  ).lean();
+  return doc.value;
+}
@@ -0,0 +1,117 @@
+// backend/services/verificationLevels.js
+import { getSetting } from "./settings.js";
+
+/**
+ * Niveles de verificación de World ID (Orb > documento > device).
+ *
+ * - El User guarda el nivel más alto visto (verificationLevel) y cuándo se
+ *   probó por última vez (lastVerifiedAt)
+ * - Pasados WORLD_ID_REVERIFY_DAYS el nivel guardado deja de valer: hay que
+ *   volver a verificar y, mientras tanto, se aplica la política más baja
+ * - Cada nivel define su nivel de límites (LimitTier), los bancos permitidos
+ *   y el spread; el admin la cambia en /api/admin/settings/verification-levels
+ */
+
+// De menor a mayor
+export const NIVELES_VERIFICACION = ["device", "document", "secure_document", "orb"];
+
+export const LEVEL_POLICY_SETTING = "verification_level_policy";
+
+// tier null = DEFAULT_LIMIT_TIER; bancos null = todos los registrados;
+// spread null = SPREAD global. Para límites distintos por nivel, el admin
+// crea el LimitTier y lo asigna aquí.
+export const DEFAULT_LEVEL_POLICY = {
+  orb: { tier: null, bancos: null, spread: null },
+  secure_document: { tier: null, bancos: null, spread: null },
+  document: { tier: null, bancos: null, spread: null },
+  device: { tier: null, bancos: ["Nequi"], spread: null },
+};
+
+const DEFAULT_REVERIFY_DAYS = 90;
+
+export function levelRank(level) {
+  return NIVELES_VERIFICACION.indexOf(level);
+}
+
+function reverifyMs() {
+  const days = Number(process.env.WORLD_ID_REVERIFY_DAYS || DEFAULT_REVERIFY_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_REVERIFY_DAYS) * 86400_000;
+}
+
+export function isVerificationExpired(user, now = new Date()) {
+  if (!user?.lastVerifiedAt) return true;
+  return now.getTime() - new Date(user.lastVerifiedAt).getTime() > reverifyMs();
+}
+
+// Nivel que vale hoy (null = nunca verificó o ya venció)
+export function effectiveLevel(user, now = new Date()) {
+  if (!user?.verificationLevel || isVerificationExpired(user, now)) return null;
+  return user.verificationLevel;
+}
+
+/**
+ * $set para el User tras una verificación nueva: sube de nivel si el nuevo
+ * es mayor o igual (o si el guardado ya venció). Una prueba de menor nivel
+ * no baja ni renueva un nivel alto que sigue vigente.
+ */
+export function verificationUpdate(user, level, now = new Date()) {
+  const actual = effectiveLevel(user, now);
+  if (actual && levelRank(level) < levelRank(actual)) return null;
+  return { verificationLevel: level, lastVerifiedAt: now };
+}
+
+export async function getLevelPolicies() {
+  const saved = await getSetting(LEVEL_POLICY_SETTING, null);
+  return { ...DEFAULT_LEVEL_POLICY, ...(saved || {}) };
+}
+
+// Política del nivel; sin nivel vigente se usa la del nivel más bajo
+export async function policyForLevel(level) {
+  const policies = await getLevelPolicies();
+  return policies[level] || policies[NIVELES_VERIFICACION[0]];
+}
+
+/**
+ * Valida una política completa enviada por el admin.
+ * tiersValidos: nombres de LimitTier existentes. Devuelve { policies } o { error }.
+ */
+export function validateLevelPolicies(input, { bancosValidos, tiersValidos }) {
+  if (!input || typeof input !== "object") {
+    return { error: "Se esperaba un objeto { nivel: { tier, bancos, spread } }" };
+  }
+
+  const policies = {};
+  for (const [nivel, p] of Object.entries(input)) {
+    if (!NIVELES_VERIFICACION.includes(nivel)) {
+      return { error: `Nivel desconocido: ${nivel}` };
+    }
+    if (!p || typeof p !== "object") {
+      return { error: `${nivel}: se esperaba { tier, bancos, spread }` };
+    }
+    if (p.tier !== null && p.tier !== undefined && !tiersValidos.includes(p.tier)) {
+      return { error: `${nivel}: el nivel de límites '${p.tier}' no existe (o usa null)` };
+    }
+    if (
+      p.bancos !== null &&
+      p.bancos !== undefined &&
+      (!Array.isArray(p.bancos) || p.bancos.some((b) => !bancosValidos.includes(b)))
+    ) {
+      return { error: `${nivel}: bancos debe ser null o una lista de ${bancosValidos.join(", ")}` };
+    }
+    if (
+      p.spread !== null &&
+      p.spread !== undefined &&
+      !(Number.isFinite(p.spread) && p.spread >= 0 && p.spread < 1)
+    ) {
+      return { error: `${nivel}: spread debe ser null o una fracción entre 0 y 1` };
+    }
+
+    policies[nivel] = {
+      tier: p.tier ?? null,
+      bancos: p.bancos ?? null,
+      spread: p.spread ?? null,
+    };
+  }
+
+  return { policies };
+}
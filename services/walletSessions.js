@@ -0,0 +1,236 @@
+// backend/services/walletSessions.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { SiweNonce } from "../models/SiweNonce.js";
+import { WalletSession } from "../models/WalletSession.js";
+
+/**
+ * Login de wallet (SIWE) y sesiones de usuario.
+ *
+ * - Nonce SIWE de un solo uso: se guarda con TTL y se borra al consumirlo
+ * - Access token corto (JWT con sid) firmado con WALLET_JWT_SECRET,
+ *   separado del secreto de admin
+ * - Refresh token opaco "<sessionId>.<secreto>" que rota en cada uso; si
+ *   llega uno que sí se emitió y ya rotó (robado / reusado) se revoca toda
+ *   la sesión. Un secreto que nunca se emitió solo se rechaza: el
+ *   sessionId no es secreto y no debe bastar para cerrar la sesión de otro
+ * - Una sesión revocada deja de servir de inmediato (requireWalletAuth
+ *   revisa la sesión en cada request)
+ */
+
+const DEFAULT_NONCE_TTL_SEC = 300;
+const DEFAULT_ACCESS_TTL_SEC = 15 * 60;
+const DEFAULT_REFRESH_TTL_DAYS = 30;
+const MAX_REFRESH_PREVIOS = 20;
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// Leído en cada llamada: dotenv se carga después de importar los servicios.
+// Sin valor por defecto: con uno público cualquiera firmaría tokens.
+function walletSecret() {
+  const secret = process.env.WALLET_JWT_SECRET;
+  if (!secret) {
+    throw new Error("WALLET_JWT_SECRET no configurado");
+  }
+  return secret;
+}
+
+// Para el arranque: sin secreto no hay login de wallet
+export function assertWalletSecretConfigured() {
+  walletSecret();
+}
+
+export class WalletSessionError extends Error {
+  constructor(message, { code, status = 401 } = {}) {
+    super(message);
+    this.name = "WalletSessionError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(String(value)).digest("hex");
+
+// ==============================
+// Nonce SIWE
+// ==============================
+export function hashNonce(nonce) {
+  return crypto
+    .createHmac("sha256", walletSecret())
+    .update(String(nonce))
+    .digest("hex");
+}
+
+export async function issueSiweNonce() {
+  const nonce = crypto.randomBytes(16).toString("hex"); // 32 chars
+  const signedNonce = hashNonce(nonce);
+  const ttlSec = envNumber("SIWE_NONCE_TTL_SEC", DEFAULT_NONCE_TTL_SEC);
+
+  await SiweNonce.create({
+    nonceHash: signedNonce,
+    expiresAt: new Date(Date.now() + ttlSec * 1000),
+  });
+
+  return { nonce, signedNonce, expira_en_seg: ttlSec };
+}
+
+// true solo la primera vez y mientras no haya vencido (el TTL de Mongo no es exacto)
+export async function consumeSiweNonce(nonce, signedNonce) {
+  const nonceHash = hashNonce(nonce);
+  if (String(signedNonce) !== nonceHash) return false;
+
+  const doc = await SiweNonce.findOneAndDelete({
+    nonceHash,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(doc);
+}
+
+// ==============================
+// Tokens
+// ==============================
+function signAccessToken(session) {
+  const expiresIn = envNumber("WALLET_ACCESS_TTL_SEC", DEFAULT_ACCESS_TTL_SEC);
+  const token = jwt.sign(
+    {
+      role: "wallet",
+      walletAddress: session.walletAddress,
+      sid: session.sessionId,
+    },
+    walletSecret(),
+    { expiresIn }
+  );
+  return { token, expiresIn };
+}
+
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function refreshExpiry() {
+  const days = envNumber("WALLET_REFRESH_TTL_DAYS", DEFAULT_REFRESH_TTL_DAYS);
+  return new Date(Date.now() + days * 86400_000);
+}
+
+function tokenPair(session, refreshSecret) {
+  const { token, expiresIn } = signAccessToken(session);
+  return {
+    walletToken: token,
+    expiresIn,
+    refreshToken: `${session.sessionId}.${refreshSecret}`,
+  };
+}
+
+export async function createWalletSession({ walletAddress, ip, userAgent }) {
+  const refreshSecret = newRefreshSecret();
+  const session = await WalletSession.create({
+    sessionId: crypto.randomUUID(),
+    walletAddress: String(walletAddress).toLowerCase(),
+    refreshHash: sha256(refreshSecret),
+    ip,
+    user_agent: userAgent,
+    expiresAt: refreshExpiry(),
+  });
+
+  return tokenPair(session, refreshSecret);
+}
+
+export async function rotateRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret) {
+    throw new WalletSessionError("Refresh token inválido", {
+      code: "REFRESH_INVALID",
+    });
+  }
+
+  const nuevo = newRefreshSecret();
+  const hash = sha256(secret);
+  const session = await WalletSession.findOneAndUpdate(
+    {
+      sessionId,
+      refreshHash: hash,
+      revocada_en: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshHash: sha256(nuevo),
+        ultimo_uso: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+      $push: {
+        refreshHashesPrevios: { $each: [hash], $slice: -MAX_REFRESH_PREVIOS },
+      },
+      $inc: { rotaciones: 1 },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Un refresh que emitimos y ya rotó vuelve a aparecer: alguien más lo tiene
+    const reusada = await WalletSession.findOneAndUpdate(
+      { sessionId, refreshHashesPrevios: hash, revocada_en: null },
+      { $set: { revocada_en: new Date(), revocada_por: "system:reuso_refresh" } }
+    );
+    if (reusada) {
+      console.warn(
+        `⚠️ Refresh token reusado en la sesión ${sessionId} (${reusada.walletAddress}): sesión revocada`
+      );
+      throw new WalletSessionError("Sesión vencida o revocada", {
+        code: "SESSION_REVOKED",
+      });
+    }
+    throw new WalletSessionError("Sesión vencida o refresh token inválido", {
+      code: "REFRESH_INVALID",
+    });
+  }
+
+  return tokenPair(session, nuevo);
+}
+
+/**
+ * Verifica el access token y que su sesión siga activa.
+ * Devuelve el payload ({ walletAddress, sid }) o null.
+ */
+export async function verifyWalletAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, walletSecret());
+  } catch (err) {
+    console.warn("JWT wallet inválido:", err.message);
+    return null;
+  }
+
+  if (payload?.role !== "wallet" || !payload.sid) return null;
+
+  // La sesión debe ser de esa wallet: un sid propio no sirve para otra
+  const activa = await WalletSession.exists({
+    sessionId: payload.sid,
+    walletAddress: String(payload.walletAddress || "").toLowerCase(),
+    revocada_en: null,
+  });
+  return activa ? payload : null;
+}
+
+// ==============================
+// Revocación
+// ==============================
+export async function revokeWalletSession(sessionId, { actor }) {
+  const result = await WalletSession.updateOne(
+    { sessionId, revocada_en: null },
+    { $set: { revocada_en: new Date(), revocada_por: actor } }
+  );
+  return result.modifiedCount > 0;
+}
+
+export async function revokeWalletSessions(walletAddress, { actor }) {
+  const result = await WalletSession.updateMany(
+    { walletAddress: String(walletAddress).toLowerCase(), revocada_en: null },
+    { $set: { revocada_en: new Date(), revocada_por: actor } }
+  );
+  return result.modifiedCount;
+}
@@ -0,0 +1,465 @@
+// backend/services/webhooks.js
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { Order } from "../models/Order.js";
+import { WebhookDelivery } from "../models/WebhookDelivery.js";
+import { WebhookSubscription } from "../models/WebhookSubscription.js";
+import { decryptPii, encryptPii } from "./piiCrypto.js";
+
+/**
+ * Webhooks salientes de órdenes.
+ *
+ * - Quien cambia el estado de una orden encola en el outbox (WebhookDelivery)
+ *   en la misma ruta, después de guardar, con await
+ * - Si ese encolado falla o el proceso muere entre medio, el barrido
+ *   (sweepOrderWebhooks) rearma los eventos desde status_history; el índice
+ *   único (subId, event_key) evita duplicados
+ * - El worker entrega lo pendiente con POST JSON firmado:
+ *     X-ChangeWLD-Signature: t=<unix>,v1=<hex HMAC-SHA256(secret, "t.body")>
+ * - Fallo (no 2xx, timeout o redirect) → reintento con backoff exponencial;
+ *   al llegar a WEBHOOK_MAX_ATTEMPTS queda 'fallido' (dead-letter) hasta que
+ *   un admin la reenvíe
+ * - El payload no lleva PII (ni titular ni número de cuenta)
+ * - Solo https y hosts públicos: nada de localhost, redes privadas ni
+ *   link-local (169.254.169.254 = metadata de la nube). Se valida al guardar
+ *   la URL y otra vez al entregar, con la IP que resuelve el DNS.
+ *   Con NODE_ENV=development se permiten http y hosts locales para pruebas.
+ */
+
+export const WEBHOOK_EVENTOS = [
+  "order.created",
+  "order.wld_received",
+  "order.paid",
+  "order.rejected",
+  "order.expired",
+];
+
+// Estado de destino → evento (la creación va aparte)
+const EVENTO_POR_ESTADO = {
+  recibida_wld: "order.wld_received",
+  pagada: "order.paid",
+  rechazada: "order.rejected",
+  expirada: "order.expired",
+};
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BACKOFF_BASE_SEC = 30;
+const MAX_BACKOFF_SEC = 6 * 3600;
+const DEFAULT_TIMEOUT_MS = 10_000;
+const LOTE_ENTREGAS = 20;
+const DEFAULT_SWEEP_MIN = 120;
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// Loopback, privadas, CGNAT, link-local, multicast y reservadas
+const REDES_BLOQUEADAS = new net.BlockList();
+for (const [red, prefijo] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  REDES_BLOQUEADAS.addSubnet(red, prefijo, "ipv4");
+}
+for (const [red, prefijo] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  REDES_BLOQUEADAS.addSubnet(red, prefijo, "ipv6");
+}
+
+const isDevelopment = () => process.env.NODE_ENV === "development";
+
+function isBlockedIp(ip) {
+  // IPv4 mapeada (::ffff:127.0.0.1, o ::ffff:7f00:1 como la deja new URL)
+  // → se revisa como IPv4
+  const mapeada = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapeada) return REDES_BLOQUEADAS.check(mapeada[1], "ipv4");
+  const mapeadaHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(ip);
+  if (mapeadaHex) {
+    const [alto, bajo] = [parseInt(mapeadaHex[1], 16), parseInt(mapeadaHex[2], 16)];
+    const ipv4 = [alto >> 8, alto & 255, bajo >> 8, bajo & 255].join(".");
+    return REDES_BLOQUEADAS.check(ipv4, "ipv4");
+  }
+  const tipo = net.isIP(ip);
+  if (!tipo) return false;
+  return REDES_BLOQUEADAS.check(ip, tipo === 4 ? "ipv4" : "ipv6");
+}
+
+// Motivo por el que la URL no sirve como destino, o null
+function unsafeUrlReason(parsed) {
+  if (isDevelopment()) return null;
+  if (parsed.protocol !== "https:") return "Debe ser https.";
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    host.endsWith(".local") ||
+    host.endsWith(".internal") ||
+    isBlockedIp(host)
+  ) {
+    return "El host no puede ser local, privado ni link-local.";
+  }
+  return null;
+}
+
+// Al entregar: el nombre puede resolver a una IP interna (o cambiar después)
+async function assertPublicDestination(url) {
+  if (isDevelopment()) return;
+  const parsed = new URL(url);
+  const motivo = unsafeUrlReason(parsed);
+  if (motivo) throw new Error(motivo);
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return;
+  const direcciones = await dns.lookup(host, { all: true });
+  if (direcciones.some((d) => isBlockedIp(d.address))) {
+    throw new Error(`${host} resuelve a una dirección privada`);
+  }
+}
+
+export function webhookEventFor(orderEvent) {
+  if (orderEvent.tipo === "creada") return "order.created";
+  return EVENTO_POR_ESTADO[orderEvent.estado] || null;
+}
+
+export function backoffMs(intentos) {
+  const base = envNumber("WEBHOOK_BACKOFF_BASE_SEC", DEFAULT_BACKOFF_BASE_SEC);
+  return Math.min(base * 2 ** Math.max(0, intentos - 1), MAX_BACKOFF_SEC) * 1000;
+}
+
+export function signWebhook(secret, timestamp, body) {
+  const firma = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${firma}`;
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Valida url / eventos de una suscripción.
+ * parcial = true para PUT (solo se validan los campos presentes).
+ */
+export function validateWebhookInput({ url, eventos } = {}, { parcial = false } = {}) {
+  const errors = {};
+  const value = {};
+
+  if (url !== undefined || !parcial) {
+    let parsed = null;
+    try {
+      parsed = new URL(String(url || ""));
+    } catch {
+      // se reporta abajo
+    }
+    const motivo = parsed && unsafeUrlReason(parsed);
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      errors.url = "Debe ser una URL http(s) válida.";
+    } else if (motivo) {
+      errors.url = motivo;
+    } else {
+      value.url = parsed.toString();
+    }
+  }
+
+  if (eventos !== undefined || !parcial) {
+    if (
+      !Array.isArray(eventos) ||
+      !eventos.length ||
+      eventos.some((e) => !WEBHOOK_EVENTOS.includes(e))
+    ) {
+      errors.eventos = `Lista no vacía de: ${WEBHOOK_EVENTOS.join(", ")}`;
+    } else {
+      value.eventos = [...new Set(eventos)];
+    }
+  }
+
+  return { value, errors };
+}
+
+// Vista para el admin: nunca el secreto
+export function publicSubscription(sub) {
+  return {
+    subId: sub.subId,
+    url: sub.url,
+    eventos: sub.eventos,
+    descripcion: sub.descripcion,
+    activo: sub.activo,
+    creado_por: sub.creado_por,
+    actualizado_por: sub.actualizado_por || null,
+    createdAt: sub.createdAt,
+    updatedAt: sub.updatedAt,
+  };
+}
+
+export async function createSubscription({ url, eventos, descripcion, actor }) {
+  const secret = generateWebhookSecret();
+  const sub = await WebhookSubscription.create({
+    subId: `wh_${crypto.randomBytes(8).toString("hex")}`,
+    url,
+    eventos,
+    descripcion: descripcion || null,
+    secret: encryptPii(secret),
+    creado_por: actor,
+  });
+  // El secreto solo se muestra al crear (o al rotarlo)
+  return { sub, secret };
+}
+
+export async function rotateSubscriptionSecret(subId, { actor }) {
+  const secret = generateWebhookSecret();
+  const sub = await WebhookSubscription.findOneAndUpdate(
+    { subId },
+    { $set: { secret: encryptPii(secret), actualizado_por: actor } },
+    { new: true }
+  ).lean();
+  return sub ? { sub, secret } : null;
+}
+
+// ==============================
+// Outbox
+// ==============================
+
+const eventKey = (orderEvent) =>
+  `${orderEvent.order.id}:${orderEvent.at}:${orderEvent.estado}`;
+
+// Inserta las que falten; las que ya estaban (mismo subId + event_key) se saltan
+async function insertDeliveries(orderEvent, evento, subs) {
+  if (!subs.length) return 0;
+
+  const data = {
+    orderId: orderEvent.order.id,
+    estado: orderEvent.estado,
+    from: orderEvent.from,
+    at: orderEvent.at,
+    montoWLD: orderEvent.order.montoWLD,
+    montoCOP: orderEvent.order.montoCOP,
+    inventario_fecha: orderEvent.order.inventario_fecha,
+    wallet: orderEvent.order.wallet,
+  };
+
+  const docs = subs.map((s) => {
+    const deliveryId = `whd_${crypto.randomBytes(12).toString("hex")}`;
+    return {
+      deliveryId,
+      subId: s.subId,
+      evento,
+      order_id: orderEvent.order.id,
+      event_key: eventKey(orderEvent),
+      payload: { id: deliveryId, evento, creado_en: new Date().toISOString(), data },
+    };
+  });
+
+  try {
+    await WebhookDelivery.insertMany(docs, { ordered: false });
+    return docs.length;
+  } catch (err) {
+    const errores = err?.writeErrors || [];
+    if (!errores.length || errores.some((e) => (e.code ?? e.err?.code) !== 11000)) {
+      throw err;
+    }
+    return docs.length - errores.length;
+  }
+}
+
+/**
+ * Encola el evento (el que devuelve publishOrderEvent) para cada suscripción
+ * activa que lo pidió. Devuelve cuántas entregas se crearon.
+ */
+export async function enqueueOrderWebhooks(orderEvent) {
+  const evento = webhookEventFor(orderEvent);
+  if (!evento) return 0;
+
+  const subs = await WebhookSubscription.find(
+    { activo: true, eventos: evento },
+    { subId: 1 }
+  ).lean();
+  return insertDeliveries(orderEvent, evento, subs);
+}
+
+/**
+ * Red de seguridad del outbox: recorre las órdenes tocadas en los últimos
+ * WEBHOOK_SWEEP_MIN minutos y encola lo que falte de su status_history.
+ * Una suscripción solo recibe eventos posteriores a su creación.
+ */
+export async function sweepOrderWebhooks() {
+  const ventanaMin = envNumber("WEBHOOK_SWEEP_MIN", DEFAULT_SWEEP_MIN);
+  const desde = new Date(Date.now() - ventanaMin * 60_000).toISOString();
+
+  const subs = await WebhookSubscription.find(
+    { activo: true },
+    { subId: 1, eventos: 1, createdAt: 1 }
+  ).lean();
+  if (!subs.length) return 0;
+
+  const orders = await Order.find(
+    { actualizada_en: { $gte: desde } },
+    {
+      id: 1,
+      wallet: 1,
+      montoWLD: 1,
+      montoCOP: 1,
+      inventario_fecha: 1,
+      status_history: 1,
+    }
+  ).lean();
+
+  let creadas = 0;
+  for (const orden of orders) {
+    for (const [i, entry] of (orden.status_history || []).entries()) {
+      if (!entry.at || entry.at < desde) continue;
+
+      const orderEvent = {
+        tipo: i === 0 ? "creada" : "estado",
+        order: {
+          id: orden.id,
+          wallet: orden.wallet || null,
+          montoWLD: orden.montoWLD,
+          montoCOP: orden.montoCOP,
+          inventario_fecha: orden.inventario_fecha || null,
+        },
+        estado: entry.to,
+        from: entry.from ?? null,
+        at: entry.at,
+      };
+      const evento = webhookEventFor(orderEvent);
+      if (!evento) continue;
+
+      const destino = subs.filter(
+        (s) => s.eventos.includes(evento) && new Date(s.createdAt).toISOString() <= entry.at
+      );
+      creadas += await insertDeliveries(orderEvent, evento, destino);
+    }
+  }
+
+  if (creadas) {
+    console.warn(`🪝 Barrido de webhooks: ${creadas} entregas que faltaban encoladas`);
+  }
+  return creadas;
+}
+
+async function attemptDelivery(delivery, sub) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    await assertPublicDestination(sub.url);
+    const resp = await fetch(sub.url, {
+      method: "POST",
+      redirect: "manual",
+      signal: AbortSignal.timeout(envNumber("WEBHOOK_TIMEOUT_MS", DEFAULT_TIMEOUT_MS)),
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "ChangeWLD-Webhooks/1.0",
+        "X-ChangeWLD-Event": delivery.evento,
+        "X-ChangeWLD-Delivery": delivery.deliveryId,
+        "X-ChangeWLD-Signature": signWebhook(decryptPii(sub.secret), timestamp, body),
+      },
+      body,
+    });
+    return {
+      ok: resp.ok,
+      status: resp.status,
+      error: resp.ok ? null : `HTTP ${resp.status}`,
+    };
+  } catch (err) {
+    return { ok: false, status: null, error: err.message };
+  }
+}
+
+/**
+ * Entrega las pendientes que ya toca intentar. Cada una se toma de forma
+ * atómica (se corre proximo_intento) para que dos procesos no la envíen a la
+ * vez; si el proceso muere a mitad, vuelve a intentarse al vencer ese plazo.
+ */
+export async function deliverPendingWebhooks() {
+  const maxIntentos = envNumber("WEBHOOK_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS);
+  const leaseMs = envNumber("WEBHOOK_TIMEOUT_MS", DEFAULT_TIMEOUT_MS) + 60_000;
+  let procesadas = 0;
+
+  while (procesadas < LOTE_ENTREGAS) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { estado: "pendiente", proximo_intento: { $lte: now } },
+      { $set: { proximo_intento: new Date(now.getTime() + leaseMs) } },
+      { sort: { proximo_intento: 1 }, new: true }
+    ).lean();
+    if (!delivery) break;
+    procesadas++;
+
+    const sub = await WebhookSubscription.findOne({ subId: delivery.subId }).lean();
+    if (!sub || !sub.activo) {
+      await WebhookDelivery.updateOne(
+        { deliveryId: delivery.deliveryId },
+        {
+          $set: {
+            estado: "fallido",
+            fallido_en: new Date(),
+            ultimo_error: "Suscripción eliminada o inactiva",
+          },
+        }
+      );
+      continue;
+    }
+
+    const result = await attemptDelivery(delivery, sub);
+    const intentos = delivery.intentos + 1;
+    const set = {
+      intentos,
+      ultimo_status: result.status,
+      ultimo_error: result.error,
+    };
+
+    if (result.ok) {
+      set.estado = "entregado";
+      set.entregado_en = new Date();
+    } else if (intentos >= maxIntentos) {
+      set.estado = "fallido";
+      set.fallido_en = new Date();
+      console.warn(
+        `☠️ Webhook ${delivery.deliveryId} (${delivery.evento} → ${sub.url}) a dead-letter tras ${intentos} intentos: ${result.error}`
+      );
+    } else {
+      set.proximo_intento = new Date(Date.now() + backoffMs(intentos));
+    }
+
+    await WebhookDelivery.updateOne({ deliveryId: delivery.deliveryId }, { $set: set });
+  }
+
+  return procesadas;
+}
+
+// Dead-letter → pendiente, con un ciclo de reintentos nuevo
+export async function redeliverWebhook(deliveryId) {
+  return WebhookDelivery.findOneAndUpdate(
+    { deliveryId, estado: "fallido" },
+    {
+      $set: {
+        estado: "pendiente",
+        intentos: 0,
+        proximo_intento: new Date(),
+        fallido_en: null,
+      },
+      $inc: { reenvios: 1 },
+    },
+    { new: true }
+  ).lean();
+}
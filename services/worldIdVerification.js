@@ -0,0 +1,107 @@
+// backend/services/worldIdVerification.js
+import crypto from "crypto";
+import { WorldIdVerification } from "../models/WorldIdVerification.js";
+
+/**
+ * Verificaciones de World ID guardadas del lado del servidor.
+ *
+ * - /api/verify-world-id guarda nullifier_hash, verification_level y action
+ *   y devuelve un verificationToken opaco (vence en WORLD_ID_VERIFICATION_TTL_SEC)
+ * - Crear orden o vincular wallet exige ese token: el nullifier nunca sale
+ *   del body del cliente
+ * - La prueba se pide con signal = wallet de la sesión, y el token queda
+ *   atado a esa wallet
+ */
+
+const DEFAULT_TTL_SEC = 600;
+
+function verificationTtlMs() {
+  const sec = Number(process.env.WORLD_ID_VERIFICATION_TTL_SEC || DEFAULT_TTL_SEC);
+  return (Number.isFinite(sec) && sec > 0 ? sec : DEFAULT_TTL_SEC) * 1000;
+}
+
+export class WorldIdError extends Error {
+  constructor(message, { code, status = 403 } = {}) {
+    super(message);
+    this.name = "WorldIdError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(String(value)).digest("hex");
+
+// Solo se aceptan pruebas de WORLD_ID_ACTION (cada acción da un nullifier
+// distinto para la misma persona). Sin configurar no se acepta ninguna.
+export function assertExpectedAction(action) {
+  const expected = process.env.WORLD_ID_ACTION;
+  if (!expected) {
+    throw new WorldIdError("WORLD_ID_ACTION no configurado en el backend", {
+      code: "WORLD_ID_ACTION_MISSING",
+      status: 500,
+    });
+  }
+  if (action !== expected) {
+    throw new WorldIdError("Acción de World ID no permitida", {
+      code: "WORLD_ID_ACTION_INVALID",
+      status: 400,
+    });
+  }
+}
+
+export async function createVerification({
+  nullifierHash,
+  verificationLevel,
+  action,
+  signal,
+  wallet = null,
+}) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + verificationTtlMs());
+
+  await WorldIdVerification.create({
+    tokenHash: sha256(token),
+    nullifier_hash: String(nullifierHash),
+    verification_level: String(verificationLevel || "unknown"),
+    action: String(action),
+    signal: signal ? String(signal) : null,
+    wallet: wallet ? String(wallet).toLowerCase() : null,
+    expiresAt,
+  });
+
+  return { verificationToken: token, expira_en: expiresAt };
+}
+
+/**
+ * Devuelve la verificación vigente del token, atándola a la wallet si aún
+ * no lo estaba. Lanza WorldIdError si no existe, venció o es de otra wallet.
+ */
+export async function resolveVerification(token, { wallet }) {
+  if (!token) {
+    throw new WorldIdError("Verifica tu World ID antes de continuar.", {
+      code: "WORLD_ID_REQUIRED",
+      status: 401,
+    });
+  }
+
+  const walletLower = String(wallet).toLowerCase();
+  const verificacion = await WorldIdVerification.findOneAndUpdate(
+    {
+      tokenHash: sha256(token),
+      expiresAt: { $gt: new Date() },
+      wallet: { $in: [null, walletLower] },
+    },
+    { $set: { wallet: walletLower } },
+    { new: true }
+  ).lean();
+
+  if (!verificacion) {
+    throw new WorldIdError(
+      "La verificación de World ID venció o no es de esta wallet. Verifica de nuevo.",
+      { code: "WORLD_ID_INVALID", status: 401 }
+    );
+  }
+
+  return verificacion;
+}